@@ -2,354 +2,4437 @@
 // --- Architecture: The Vault Pattern ---
 
 // 1. File Validator
+// Judges files by their extracted text rather than their names: each document is
+// scored as a job description, CV, cover letter or invoice from its structure.
 const FileValidator = {
     isValidExtension: (file) => {
-        const valid = ['.pdf', '.doc', '.docx', '.txt'];
+        const valid = ['.pdf', '.doc', '.docx', '.odt', '.rtf', '.html', '.htm', '.txt'];
         return valid.some(ext => file.name.toLowerCase().endsWith(ext));
     },
-    validateJD: (file) => {
-        if (!FileValidator.isValidExtension(file)) return { valid: false, error: 'Invalid file format. Please upload PDF or DOCX.' };
 
-        // Mock Content Check: Heuristic based on filename
-        const name = file.name.toLowerCase();
-        const keywords = [
-            'job', 'jd', 'description', 'vacancy', 'role', 'hiring',
-            'required', 'qualifications', 'key', 'responsibilities', 'skills', 'title',
-            'spec', 'specification', 'profile', 'position', 'opening', 'career',
-            'summary', 'scope', 'recruitment', 'overview', 'prospectus'
-        ];
-        const hasKeyword = keywords.some(k => name.includes(k));
+    minWords: 30,
+    // Chinese, Japanese, Thai and similar scripts are written without spaces; this many
+    // of their characters count as one word
+    charsPerWord: 2,
+    jdThreshold: 0.5,
+    // Letters, marks and digits of any script, punctuation, symbols and spaces; U+FFFD is
+    // what failed decoding leaves behind
+    printable: /(?!\uFFFD)[\p{L}\p{M}\p{N}\p{P}\p{S}\p{Zs}\t\n\r]/gu,
+    unspaced: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/gu,
 
-        if (!hasKeyword) {
-            return {
-                valid: false,
-                error: 'File validation failed: The file does not appear to be a Job Description. \n\nPlease ensure the filename includes descriptive words like "Job", "JD", "Responsibilities", or "Qualifications".'
-            };
+    signals: {
+        jd: /\b(responsibilities|key duties|duties|requirements|qualifications|what you(?:'|’)ll do|what we(?:'|’)re looking for|about the role|job description|role overview|we are looking for|you will|what we offer|benefits|how to apply|job title|reports to)\b/gi,
+        cv: /\b(curriculum vitae|resume|résumé|work experience|professional experience|employment history|career history|education|personal statement|references available|hobbies|interests|languages spoken)\b/gi,
+        coverLetter: /\b(dear (?:hiring|sir|madam|recruit\w*|team)|to whom it may concern|yours (?:sincerely|faithfully)|i am writing to|i am excited to apply|cover letter|thank you for considering my application)\b/gi,
+        invoice: /\b(invoice|amount due|total due|subtotal|tax invoice|bill to|payment terms|unit price|qty|iban)\b/gi
+    },
+    roleTitle: /\b(engineer|developer|manager|analyst|designer|specialist|coordinator|consultant|lead|director|officer|assistant|administrator|architect|scientist|intern|associate|head of|recruiter|accountant|nurse|teacher)\b/i,
+    employmentDates: /\b(?:19|20)\d{2}\s*(?:-|–|to)\s*(?:(?:19|20)\d{2}|present|current|now)\b/gi,
+    amounts: /(?:[$€£]\s?\d[\d,.]*|\b\d[\d,.]*\s?(?:usd|eur|gbp)\b)/gi,
+
+    distinct: (text, pattern) => [...new Set((text.match(pattern) || []).map(m => m.toLowerCase()))],
+
+    // Classifies extracted text. Returns { kind, confidence, reasons } where kind is
+    // 'jd', 'cv', 'cover_letter', 'invoice', 'empty', 'unreadable' or 'unknown', and
+    // confidence is the 0-1 likelihood that the text is a job description.
+    inspect: (text) => {
+        const raw = String(text || '');
+        const words = raw.split(/\s+/).filter(Boolean).length +
+            Math.floor((raw.match(FileValidator.unspaced) || []).length / FileValidator.charsPerWord);
+        const printable = (raw.match(FileValidator.printable) || []).length;
+
+        if (words < FileValidator.minWords) {
+            return { kind: 'empty', confidence: 0, reasons: ['No readable text (an empty or scanned document)'] };
+        }
+        if (printable / raw.length < 0.85) {
+            return { kind: 'unreadable', confidence: 0, reasons: ['The extracted text is mostly binary or garbled'] };
+        }
+
+        const head = raw.split('\n').map(l => l.trim()).filter(Boolean).slice(0, 5).join(' ');
+        const found = {
+            jd: FileValidator.distinct(raw, FileValidator.signals.jd),
+            cv: FileValidator.distinct(raw, FileValidator.signals.cv),
+            coverLetter: FileValidator.distinct(raw, FileValidator.signals.coverLetter),
+            invoice: FileValidator.distinct(raw, FileValidator.signals.invoice)
+        };
+        const skills = EvidenceMatcher.skillsIn(raw).size;
+        const dates = (raw.match(FileValidator.employmentDates) || []).length;
+        const contacts = (raw.match(PIIRedactor.patterns.email) || []).length + (raw.match(PIIRedactor.patterns.phone) || []).length;
+        const hasTitle = FileValidator.roleTitle.test(head);
+
+        const scores = {
+            jd: 2 * found.jd.length + (hasTitle ? 2 : 0) + Math.min(3, skills / 2),
+            cv: 2 * found.cv.length + Math.min(3, dates) + (contacts ? 2 : 0),
+            cover_letter: 3 * found.coverLetter.length,
+            invoice: 2 * found.invoice.length + Math.min(3, (raw.match(FileValidator.amounts) || []).length)
+        };
+        const total = Object.values(scores).reduce((a, b) => a + b, 0);
+        const [kind, best] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+        const confidence = total ? (scores.jd / total) * Math.min(1, scores.jd / 6) : 0;
+
+        const reasons = [];
+        if (found.jd.length) reasons.push(`Job description sections: ${found.jd.join(', ')}`);
+        if (hasTitle) reasons.push('Role title near the top');
+        if (skills) reasons.push(`${skills} recognised skill(s)`);
+        if (found.cv.length || dates) reasons.push(`CV signals: ${[...found.cv, dates ? `${dates} employment date range(s)` : ''].filter(Boolean).join(', ')}`);
+        if (found.coverLetter.length) reasons.push(`Cover letter phrases: ${found.coverLetter.join(', ')}`);
+        if (found.invoice.length) reasons.push(`Invoice terms: ${found.invoice.join(', ')}`);
+
+        return { kind: best >= 3 ? kind : 'unknown', confidence: Math.round(confidence * 100) / 100, reasons };
+    },
+
+    describe: {
+        cv: 'This looks like a CV rather than a job description.',
+        cover_letter: 'This looks like a cover letter.',
+        invoice: 'This looks like an invoice.',
+        unknown: 'Could not find the structure of a job description (role title, responsibilities, requirements).',
+        jd: 'This looks like a job description.',
+        empty: 'No readable text was found. The file may be empty or a scanned image.',
+        unreadable: 'The file could not be read as text.'
+    },
+
+    // Returns { valid, confidence, kind, reasons, error, overridable }. Readable files
+    // that fail the check can still be uploaded if the recruiter overrides it.
+    validateJD: async (file, { onProgress } = {}) => {
+        if (!FileValidator.isValidExtension(file)) return { valid: false, error: 'Invalid file format. Please upload a PDF, Word, ODT, RTF, HTML or text file.' };
+
+        let text;
+        try {
+            text = await AIService.extractText(file, { onProgress });
+        } catch (e) {
+            return { valid: false, error: `Could not read ${file.name}: ${e.message}` };
         }
 
-        if (file.size < 100) return { valid: false, error: 'File seems too small to be a valid Job Description.' };
-        return { valid: true };
+        const result = FileValidator.inspect(text);
+        if (result.kind === 'empty' || result.kind === 'unreadable') {
+            return { ...result, valid: false, error: FileValidator.describe[result.kind] };
+        }
+        const valid = result.kind === 'jd' && result.confidence >= FileValidator.jdThreshold;
+        return {
+            ...result,
+            valid,
+            overridable: !valid,
+            error: valid ? null : `File validation failed: ${FileValidator.describe[result.kind === 'jd' ? 'unknown' : result.kind]}`
+        };
     },
-    validateCV: (file) => {
+
+    // Returns { valid, kind, warning, text }. Unreadable files are invalid; files that look
+    // like a job description or cover letter are valid but carry a warning.
+    validateCV: async (file, { onProgress } = {}) => {
         if (!FileValidator.isValidExtension(file)) return { valid: false, error: 'Invalid file format.' };
-        return { valid: true };
-    }
-};
 
-// 2. The Vault (Secure Storage for PII)
-class VaultService {
-    constructor() {
-        this._data = new Map(); // Maps RefID -> SecureData
-    }
+        let text;
+        try {
+            text = await AIService.extractText(file, { onProgress });
+        } catch (e) {
+            return { valid: false, error: `Could not read the file: ${e.message}` };
+        }
 
-    store(piiData) {
-        const refId = `secure_${Math.random().toString(36).substr(2, 9)}`;
-        this._data.set(refId, piiData);
-        return refId;
+        const result = FileValidator.inspect(text);
+        if (result.kind === 'empty' || result.kind === 'unreadable') {
+            return { ...result, valid: false, error: FileValidator.describe[result.kind] };
+        }
+        if (result.kind === 'jd' || result.kind === 'cover_letter' || result.kind === 'invoice') {
+            const what = { jd: 'a job description', cover_letter: 'a cover letter', invoice: 'an invoice' }[result.kind];
+            return { ...result, valid: true, warning: `Looks like ${what}, not a CV`, text };
+        }
+        return { ...result, valid: true, text };
     }
+};
 
-    retrieve(refId) {
-        if (!this._data.has(refId)) throw new Error('Security Breach: Invalid RefID');
-        return this._data.get(refId);
-    }
-}
+// IndexedDB helpers shared by everything that persists locally
+const IDB = {
+    open: (name, version, upgrade) => new Promise((resolve, reject) => {
+        const req = indexedDB.open(name, version);
+        req.onupgradeneeded = (event) => upgrade(req.result, event.oldVersion);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }),
 
-const vault = new VaultService();
+    // Runs fn(objectStore) in a transaction and resolves with the request's result once committed.
+    run: (db, storeName, mode, fn) => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    })
+};
 
-// --- Application State ---
+// ZIP archives (ODT documents, bulk CV exports). Deflated entries are inflated with the
+// browser's DecompressionStream; ZIP64 and encrypted entries are not supported.
+const ZipReader = {
+    // Returns [{ name, size, modified, encrypted, read() }] for every file entry; read() resolves to bytes
+    entries: async (blob) => {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const view = new DataView(bytes.buffer);
 
-const state = {
-    step: 0,
-    jobDescription: null,
-    candidates: [], // Stores ANONYMOUS profiles only (with refId)
-    selectedCandidates: new Set(), // Set of RefIDs
-    viewingCandidate: null // Current candidate being viewed in detail
-};
+        // The end-of-central-directory record sits at the end, before an optional comment
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd < 0) throw new Error('Not a ZIP archive');
 
-// --- Mock Data Factories ---
+        const entries = [];
+        let offset = view.getUint32(eocd + 16, true);
+        for (let n = view.getUint16(eocd + 10, true); n > 0; n--) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt ZIP archive');
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const time = view.getUint16(offset + 12, true);
+            const date = view.getUint16(offset + 14, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
 
-const generateMockAnalysis = () => ({
-    skills: ['Project Management', 'Agile', 'Python', 'Data Analysis', 'Communication', 'Leadership'],
-    experience: '5+ years',
-    qualifications: 'Bachelor in CS or related field'
-});
+            if (name.endsWith('/')) continue; // Folder
+            const encrypted = Boolean(flags & 1);
+            entries.push({
+                name,
+                size,
+                // MS-DOS local time, two-second resolution
+                modified: new Date(1980 + (date >> 9), ((date >> 5) & 15) - 1, date & 31, time >> 11, (time >> 5) & 63, (time & 31) * 2),
+                encrypted,
+                read: () => {
+                    if (encrypted) return Promise.reject(new Error(`${name} is password-protected`));
+                    return ZipReader.inflate(bytes, view, localOffset, method, compressedSize);
+                }
+            });
+        }
+        return entries;
+    },
 
-const generateSafeCandidates = (count) => {
-    const anonymousList = [];
+    inflate: async (bytes, view, localOffset, method, compressedSize) => {
+        if (view.getUint32(localOffset, true) !== 0x04034b50) throw new Error('Corrupt ZIP entry');
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(start, start + compressedSize);
+        if (method === 0) return data;
+        if (method !== 8) throw new Error(`Unsupported ZIP compression method ${method}`);
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+};
 
-    for (let i = 0; i < count; i++) {
-        // 1. Generate FULL (Sensitive) Data
-        const realPIData = {
-            realName: `Alex ${['Smith', 'Johnson', 'Williams', 'Brown'][i % 4]}`,
-            email: `alex.${i}@example.com`,
-            phone: `+1 (555) 010-${1000 + i}`,
-            photoUrl: `https://i.pravatar.cc/150?u=${i}`,
-            originalFile: `cv_alex_${i}.pdf`
-        };
+// Writes uncompressed (stored) ZIP archives, e.g. a stage's message drafts as one download
+const ZipWriter = {
+    _crcTable: null,
 
-        // 2. Store in Vault & Get Token
-        const refId = vault.store(realPIData);
+    crc32: (bytes) => {
+        if (!ZipWriter._crcTable) {
+            ZipWriter._crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
+        }
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) crc = ZipWriter._crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
 
-        // 3. Create Sanitized Profile
-        const score = Math.floor(Math.random() * (98 - 60) + 60);
-        anonymousList.push({
-            refId: refId, // The Key
-            alias: `Candidate ${Math.random().toString(36).substr(2, 5).toUpperCase()}`, // Pure Alias
-            score: score,
-            skills: ['Python', 'SQL', 'Teamwork', 'React', 'Node.js'].sort(() => 0.5 - Math.random()).slice(0, 3),
-            details: 'Experienced professional with a strong background in tech.',
-            revealed: false // UI State
+    // files: [{ name, data }] where data is a string (written as UTF-8) or bytes
+    build: (files, date = new Date()) => {
+        const encoder = new TextEncoder();
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const header = (size, fill) => {
+            const bytes = new Uint8Array(size);
+            fill(new DataView(bytes.buffer));
+            return bytes;
+        };
+        const parts = [];
+        const central = [];
+        let offset = 0;
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = ZipWriter.crc32(data);
+            // Fields shared by the local header (from offset 4) and the central directory (from offset 6)
+            const common = (view, at) => {
+                view.setUint16(at, 20, true); // Version needed
+                view.setUint16(at + 2, 0x0800, true); // UTF-8 names
+                view.setUint16(at + 4, 0, true); // Stored
+                view.setUint16(at + 6, time, true);
+                view.setUint16(at + 8, day, true);
+                view.setUint32(at + 10, crc, true);
+                view.setUint32(at + 14, data.length, true);
+                view.setUint32(at + 18, data.length, true);
+                view.setUint16(at + 22, name.length, true);
+            };
+            parts.push(header(30, view => { view.setUint32(0, 0x04034b50, true); common(view, 4); }), name, data);
+            central.push(header(46, view => {
+                view.setUint32(0, 0x02014b50, true);
+                view.setUint16(4, 20, true); // Version made by
+                common(view, 6);
+                view.setUint32(42, offset, true);
+            }), name);
+            offset += 30 + name.length + data.length;
+        }
+        const centralSize = central.reduce((sum, bytes) => sum + bytes.length, 0);
+        const end = header(22, view => {
+            view.setUint32(0, 0x06054b50, true);
+            view.setUint16(8, files.length, true);
+            view.setUint16(10, files.length, true);
+            view.setUint32(12, centralSize, true);
+            view.setUint32(16, offset, true);
         });
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
     }
-
-    return anonymousList.sort((a, b) => b.score - a.score);
 };
 
-// DOM Elements
-const contentArea = document.getElementById('content-area');
-const stepsNav = document.querySelectorAll('.step-btn');
-// Debug Logger
-const debugLog = document.createElement('div');
-debugLog.style.cssText = 'position:fixed; bottom:10px; right:10px; background:rgba(0,0,0,0.8); color:#0f0; padding:10px; border-radius:8px; font-family:monospace; z-index:9999; max-width:300px; font-size:12px; pointer-events:none;';
-document.body.appendChild(debugLog);
+// 2. The Vault (Secure Storage for PII)
+// Records are encrypted with AES-GCM under a key derived (PBKDF2) from the recruiter's
+// passphrase and persisted in IndexedDB. The key and database handle are private
+// fields, so decrypted data is only reachable through retrieve() while unlocked.
+class VaultService extends EventTarget {
+    #db = null;
+    #key = null;
+    #fingerprintKey = null;
+    #idleTimer = null;
+    #idleTimeoutMs;
 
-function log(msg) {
-    console.log(msg);
-    const line = document.createElement('div');
-    line.textContent = `> ${msg}`;
-    debugLog.appendChild(line);
-    if (debugLog.children.length > 5) debugLog.removeChild(debugLog.children[0]);
-}
+    static DB_NAME = 'hiring_assistant_vault';
+    static KDF_ITERATIONS = 310000;
+    static VERIFIER = 'hiring-assistant-vault';
 
-log('App script loaded.');
+    constructor({ idleTimeoutMs = 10 * 60 * 1000 } = {}) {
+        super();
+        this.#idleTimeoutMs = idleTimeoutMs;
+    }
 
-// --- AI & Extraction Services ---
+    get isUnlocked() {
+        return this.#key !== null;
+    }
 
-const AIService = {
-    getApiKey: () => localStorage.getItem('gemini_api_key'),
-    setApiKey: (key) => localStorage.setItem('gemini_api_key', key),
+    async isInitialized() {
+        const db = await this.#open();
+        return !!(await IDB.run(db, 'meta', 'readonly', s => s.get('kdf')));
+    }
 
-    extractText: async (file) => {
-        const ext = file.name.split('.').pop().toLowerCase();
-        if (ext === 'pdf') return await AIService.extractTextFromPDF(file);
-        if (ext === 'docx') return await AIService.extractTextFromDocx(file);
-        return await file.text(); // For .txt files
-    },
+    async unlock(passphrase) {
+        if (!passphrase) throw new Error('Passphrase is required.');
+        const db = await this.#open();
+        const meta = await IDB.run(db, 'meta', 'readonly', s => s.get('kdf'));
 
-    extractTextFromPDF: async (file) => {
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-        let text = "";
-        for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const content = await page.getTextContent();
-            text += content.items.map(item => item.str).join(" ") + "\n";
+        if (!meta) {
+            if (passphrase.length < 8) throw new Error('Choose a passphrase of at least 8 characters.');
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const key = await VaultService.#deriveKey(passphrase, salt, VaultService.KDF_ITERATIONS);
+            const verifier = await VaultService.#encrypt(key, VaultService.VERIFIER, 'meta');
+            await IDB.run(db, 'meta', 'readwrite', s => s.put({ id: 'kdf', salt, iterations: VaultService.KDF_ITERATIONS, verifier }));
+            this.#key = key;
+        } else {
+            const key = await VaultService.#deriveKey(passphrase, meta.salt, meta.iterations);
+            try {
+                await VaultService.#decrypt(key, meta.verifier, 'meta');
+            } catch (e) {
+                throw new Error('Incorrect passphrase.');
+            }
+            this.#key = key;
         }
-        return text;
-    },
 
-    extractTextFromDocx: async (file) => {
-        const arrayBuffer = await file.arrayBuffer();
-        const result = await mammoth.extractRawText({ arrayBuffer });
-        return result.value;
-    },
+        this.#watchActivity(true);
+        this.dispatchEvent(new Event('unlock'));
+    }
 
-    analyzeJD: async (text) => {
-        const apiKey = AIService.getApiKey();
-        if (!apiKey) throw new Error("Missing API Key. Please click the settings icon and enter your Gemini API key.");
+    lock() {
+        if (!this.#key) return;
+        this.#key = null;
+        this.#fingerprintKey = null;
+        this.#watchActivity(false);
+        this.dispatchEvent(new Event('lock'));
+    }
 
-        const prompt = `
-            Extract information from the following Job Description and return it as a JSON object with this exact structure:
-            {
-                "title": "Clear Job Title",
-                "skills": ["Skill 1", "Skill 2", ...],
-                "requirements": ["Requirement 1", "Requirement 2", ...],
-                "responsibilities": ["Responsibility 1", "Responsibility 2", ...],
-                "experience": "Brief summary of experience needed",
-                "qualifications": "Brief summary of qualifications needed"
-            }
-            Return ONLY the valid JSON object.
-            
-            Job Description:
-            ${text}
-        `;
+    // Irreversibly removes every record and the passphrase; used when the passphrase is lost.
+    async reset() {
+        const db = await this.#open();
+        this.lock();
+        await IDB.run(db, 'records', 'readwrite', s => s.clear());
+        await IDB.run(db, 'files', 'readwrite', s => s.clear());
+        await IDB.run(db, 'meta', 'readwrite', s => s.clear());
+    }
 
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{ text: prompt }]
-                }]
-            })
-        });
+    async store(piiData) {
+        const key = this.#requireKey();
+        const refId = `secure_${Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('')}`;
+        const payload = await VaultService.#encrypt(key, JSON.stringify(piiData), refId);
+        await IDB.run(await this.#open(), 'records', 'readwrite', s => s.put({ refId, ...payload }));
+        return refId;
+    }
 
-        if (!response.ok) {
-            const err = await response.json();
-            throw new Error(err.error?.message || "Gemini API call failed.");
-        }
+    async retrieve(refId) {
+        const key = this.#requireKey();
+        const record = await IDB.run(await this.#open(), 'records', 'readonly', s => s.get(refId));
+        if (!record) throw new Error('Security Breach: Invalid RefID');
+        return JSON.parse(await VaultService.#decrypt(key, record, refId));
+    }
 
-        const data = await response.json();
-        let resultText = data.candidates[0].content.parts[0].text;
+    async delete(refId) {
+        this.#requireKey();
+        const db = await this.#open();
+        await IDB.run(db, 'records', 'readwrite', s => s.delete(refId));
+        await IDB.run(db, 'files', 'readwrite', s => s.delete(refId));
+    }
 
-        // Handle potential markdown wrapping
-        resultText = resultText.replace(/```json|```/g, "").trim();
+    // The original CV kept next to its record. Name and type are encrypted as well, since
+    // file names often carry the candidate's name.
+    async storeFile(refId, file) {
+        const key = this.#requireKey();
+        const header = await VaultService.#encrypt(key, JSON.stringify({ name: file.name, type: file.type }), `${refId}:file-header`);
+        const body = await VaultService.#encrypt(key, new Uint8Array(await file.arrayBuffer()), `${refId}:file`);
+        await IDB.run(await this.#open(), 'files', 'readwrite', s => s.put({ refId, header, body }));
+    }
 
-        return JSON.parse(resultText);
-    },
+    // Resolves with the original File, or null when none was kept for this record.
+    async retrieveFile(refId) {
+        const key = this.#requireKey();
+        const record = await IDB.run(await this.#open(), 'files', 'readonly', s => s.get(refId));
+        if (!record) return null;
+        const { name, type } = JSON.parse(await VaultService.#decrypt(key, record.header, `${refId}:file-header`));
+        return new File([await VaultService.#decryptBytes(key, record.body, `${refId}:file`)], name, { type });
+    }
 
-    analyzeCV: async (text) => {
-        const apiKey = AIService.getApiKey();
-        const prompt = `
-            Extract information from the following Resume/CV and return it as a JSON object with this exact structure:
-            {
-                "realName": "Full Name",
-                "email": "Email address",
-                "phone": "Phone number",
-                "skills": ["Skill 1", "Skill 2", ...],
-                "summary": "Brief professional summary extracted from the CV"
-            }
-            Return ONLY the valid JSON object.
-            
-            CV Content:
-            ${text}
-        `;
+    // Keyed fingerprint (HMAC-SHA-256) of a value, for matching identities without storing
+    // them in clear. The HMAC key is random and kept encrypted in the vault's meta store.
+    async fingerprint(value) {
+        const key = this.#requireKey();
+        // Loaded once per unlock; concurrent callers share the pending promise
+        if (!this.#fingerprintKey) {
+            this.#fingerprintKey = this.#loadFingerprintKey(key).catch(e => {
+                this.#fingerprintKey = null;
+                throw e;
+            });
+        }
+        const mac = await crypto.subtle.sign('HMAC', await this.#fingerprintKey, new TextEncoder().encode(value));
+        return Array.from(new Uint8Array(mac), b => b.toString(16).padStart(2, '0')).join('');
+    }
 
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] })
-        });
+    async #loadFingerprintKey(key) {
+        const db = await this.#open();
+        let meta = await IDB.run(db, 'meta', 'readonly', s => s.get('fingerprint'));
+        if (!meta) {
+            const raw = Array.from(crypto.getRandomValues(new Uint8Array(32)), b => b.toString(16).padStart(2, '0')).join('');
+            meta = { id: 'fingerprint', ...(await VaultService.#encrypt(key, raw, 'fingerprint')) };
+            await IDB.run(db, 'meta', 'readwrite', s => s.put(meta));
+        }
+        const hex = await VaultService.#decrypt(key, meta, 'fingerprint');
+        const raw = Uint8Array.from(hex.match(/../g), h => parseInt(h, 16));
+        return crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    }
 
-        if (!response.ok) throw new Error("Gemini CV analysis failed.");
-        const data = await response.json();
-        let resultText = data.candidates[0].content.parts[0].text;
-        resultText = resultText.replace(/```json|```/g, "").trim();
-        return JSON.parse(resultText);
-    },
+    #requireKey() {
+        if (!this.#key) throw new Error('Vault is locked. Unlock it with your passphrase to continue.');
+        this.#resetIdleTimer();
+        return this.#key;
+    }
 
-    compareFit: async (jd, cvSummary) => {
-        const apiKey = AIService.getApiKey();
-        const prompt = `
-            Act as an expert recruiter. Compare the following Job Description against the Candidate's Resume Summary.
-            
-            Job Description:
-            ${JSON.stringify(jd)}
-            
-            Candidate Summary & Skills:
-            ${JSON.stringify(cvSummary)}
-            
-            Return a JSON object with:
-            {
-                "score": 0-100 integer,
-                "justification": "One sentence explaining the score"
-            }
-            Return ONLY valid JSON.
-        `;
+    async #open() {
+        if (!this.#db) {
+            this.#db = await IDB.open(VaultService.DB_NAME, 2, (db, oldVersion) => {
+                if (oldVersion < 1) {
+                    db.createObjectStore('meta', { keyPath: 'id' });
+                    db.createObjectStore('records', { keyPath: 'refId' });
+                }
+                if (oldVersion < 2) db.createObjectStore('files', { keyPath: 'refId' });
+            });
+        }
+        return this.#db;
+    }
 
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] })
-        });
+    // Any user activity pushes the auto-lock back; silence for idleTimeoutMs locks the vault.
+    #onActivity = () => this.#resetIdleTimer();
 
-        if (!response.ok) throw new Error("Fit comparison failed.");
-        const data = await response.json();
-        let resultText = data.candidates[0].content.parts[0].text;
-        resultText = resultText.replace(/```json|```/g, "").trim();
-        return JSON.parse(resultText);
+    #watchActivity(on) {
+        const events = ['click', 'keydown', 'mousemove', 'scroll'];
+        events.forEach(type => (on ? document.addEventListener(type, this.#onActivity, { passive: true })
+            : document.removeEventListener(type, this.#onActivity)));
+        if (on) this.#resetIdleTimer();
+        else clearTimeout(this.#idleTimer);
     }
-};
 
-// Robust Initialization
-function init() {
-    // UI Event Listeners for Settings
-    const openSettings = document.getElementById('open-settings');
-    const closeSettings = document.getElementById('close-settings');
-    const settingsOverlay = document.getElementById('settings-overlay');
-    const saveKeyBtn = document.getElementById('save-key-btn');
-    const apiKeyInput = document.getElementById('api-key');
+    #resetIdleTimer() {
+        clearTimeout(this.#idleTimer);
+        this.#idleTimer = setTimeout(() => this.lock(), this.#idleTimeoutMs);
+    }
 
-    if (openSettings) {
-        openSettings.onclick = () => {
-            apiKeyInput.value = AIService.getApiKey() || '';
-            settingsOverlay.style.display = 'flex';
-        };
+    static async #deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
     }
 
-    if (closeSettings) {
-        closeSettings.onclick = () => settingsOverlay.style.display = 'none';
+    // The record id is bound as additional data so ciphertexts cannot be swapped between records.
+    // Plaintext is a string or raw bytes.
+    static async #encrypt(key, plaintext, boundTo) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(boundTo) },
+            key,
+            typeof plaintext === 'string' ? new TextEncoder().encode(plaintext) : plaintext
+        );
+        return { iv, data };
     }
 
-    if (saveKeyBtn) {
-        saveKeyBtn.onclick = () => {
-            AIService.setApiKey(apiKeyInput.value.trim());
-            settingsOverlay.style.display = 'none';
-            log('API Key Saved.');
-        };
+    static async #decryptBytes(key, { iv, data }, boundTo) {
+        return crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(boundTo) },
+            key,
+            data
+        );
     }
 
-    const btn = document.getElementById('start-btn');
-    if (btn) {
-        log('Start button found.');
-        btn.onclick = (e) => {
-            log('Start button clicked!');
-            e.preventDefault();
-            goToStep(1);
-        };
-    } else {
-        log('Start button NOT found. Retrying...');
-        setTimeout(init, 500);
+    static async #decrypt(key, payload, boundTo) {
+        return new TextDecoder().decode(await VaultService.#decryptBytes(key, payload, boundTo));
     }
 }
 
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-} else {
-    init();
-}
+const vault = new VaultService();
 
-// Navigation Logic
-function goToStep(stepIndex) {
-    state.step = stepIndex;
-    updateSidebar(stepIndex);
-    renderView(stepIndex);
-}
+// 3. PII Redactor (runs locally, before any CV text reaches a model)
+const PIIRedactor = {
+    patterns: {
+        email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+        url: /\b(?:https?:\/\/|www\.|(?:linkedin|github|twitter|x)\.com\/)[^\s<>()"]*[^\s<>()".,;:!?]/gi,
+        phone: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}/g,
+        // Without a ':' or '-' the value has to start like a date, so "born and raised in" is left alone
+        dob: /\b(date of birth|d\.o\.b\.?|dob|born(?: on)?)(\s*[:\-]\s*|\s+(?=\d|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s))([^\n|;]+)/gi,
+        demographic: /\b(gender|sex|age|nationality|citizenship|marital status|religion|ethnicity|place of birth|visa status)(\s*[:\-]\s*)([^\n|;]+)/gi,
+        ageMarker: /\b(?:aged\s+\d{2}|\d{2}\s+years?\s+old)\b/gi,
+        title: /\b(?:Mr|Mrs|Ms|Miss|Mx)\.?(?=\s+[A-Z])/g,
+        addressLabel: /\b(address|home address|residence|location)(\s*[:\-]\s*)([^\n|]+)/gi,
+        street: /\b\d{1,5}[A-Za-z]?,?\s+(?:[A-Z][\w'’.-]*\s+){0,4}(?:Street|St\.?|Road|Rd\.?|Avenue|Ave\.?|Lane|Ln\.?|Drive|Dr\.?|Boulevard|Blvd\.?|Way|Court|Ct\.?|Place|Pl\.?|Square|Terrace|Close|Crescent|Rue|Strasse|Straße)\b[^\n|]*/g,
+        postcode: /\b(?:[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}|[A-Z]{2}\s+\d{5}(?:-\d{4})?)\b/g,
+        photoCaption: /^\s*\[?(?:photo|photograph|profile (?:photo|picture)|headshot|picture)\b[^\n]*$/gim,
+        nameLabel: /\b(?:full name|name)\s*:\s*([^\n|,]+)/i
+    },
 
-function updateSidebar(currentStep) {
-    stepsNav.forEach(btn => {
-        const step = parseInt(btn.dataset.step);
-        if (step === currentStep) {
-            btn.classList.add('active');
-            btn.removeAttribute('disabled');
-        } else if (step < currentStep) {
-            btn.classList.remove('active');
-            btn.removeAttribute('disabled');
-        } else {
-            btn.classList.remove('active');
-            // Keep future steps disabled until unlocked
-            btn.setAttribute('disabled', 'true');
-        }
-    });
-}
+    // Header words that are never a person's name
+    headerStopwords: ['curriculum', 'vitae', 'resume', 'résumé', 'cv', 'profile', 'summary', 'contact', 'personal', 'details'],
 
-// Views
-function renderView(step) {
-    contentArea.innerHTML = ''; // Clear current view
+    // Words that make a Title-Case header line a job title ("Senior Software Engineer"), not a name
+    roleWords: ['senior', 'junior', 'lead', 'head', 'chief', 'principal', 'staff', 'associate', 'assistant', 'intern', 'trainee',
+        'engineer', 'engineering', 'developer', 'development', 'manager', 'management', 'director', 'analyst', 'designer',
+        'consultant', 'architect', 'scientist', 'specialist', 'officer', 'administrator', 'coordinator', 'executive',
+        'technician', 'accountant', 'software', 'data', 'product', 'project', 'sales', 'marketing', 'operations',
+        'support', 'full', 'stack', 'frontend', 'backend', 'web', 'mobile', 'cloud', 'security', 'research', 'of', 'and'],
 
-    switch (step) {
-        case 1: // JD Upload
-            renderUploadView('Upload Job Description', 'Drag & drop PDF or Docx here', (files) => {
-                handleJDUpload(files[0]);
-            });
+    findName: (text) => {
+        const labelled = text.match(PIIRedactor.patterns.nameLabel);
+        if (labelled) return labelled[1].trim();
+
+        const lines = text.split('\n').map(l => l.trim()).filter(Boolean).slice(0, 5);
+        const nameShape = /^[A-ZÀ-Ý][A-Za-zÀ-ÿ'’.-]+(?:\s+[A-ZÀ-Ý][A-Za-zÀ-ÿ'’.-]+){1,3}$/;
+        const excluded = [...PIIRedactor.headerStopwords, ...PIIRedactor.roleWords];
+        return lines.find(line => nameShape.test(line) &&
+            !line.toLowerCase().split(/\s+/).some(w => excluded.includes(w.replace(/[.,]$/, '')))) || '';
+    },
+
+    escapeRegExp: (value) => value.replace(/[.*+?^${}()|[\]\\]/g, m => `\\${m}`),
+
+    // Returns { text, pii, tokens }: text is safe to send to a model, pii holds the
+    // detected originals by kind and tokens maps each placeholder to its original.
+    redact: (rawText) => {
+        const p = PIIRedactor.patterns;
+        const tokens = {};
+        const pii = { name: '', emails: [], phones: [], urls: [], addresses: [], datesOfBirth: [], demographics: [] };
+        const counters = {};
+
+        const tokenFor = (kind, original) => {
+            const existing = Object.keys(tokens).find(t => tokens[t] === original && t.startsWith(`[${kind}`));
+            if (existing) return existing;
+            counters[kind] = (counters[kind] || 0) + 1;
+            const token = `[${kind}_${counters[kind]}]`;
+            tokens[token] = original;
+            return token;
+        };
+
+        let text = String(rawText || '');
+
+        // The name is detected before anything is replaced so the header line is intact
+        const name = PIIRedactor.findName(text);
+
+        text = text.replace(p.email, m => { pii.emails.push(m); return tokenFor('EMAIL', m); });
+        text = text.replace(p.url, m => { pii.urls.push(m); return tokenFor('URL', m); });
+        text = text.replace(p.dob, (m, label, sep, value) => {
+            pii.datesOfBirth.push(value.trim());
+            return `${label}${sep}${tokenFor('DOB', value.trim())}`;
+        });
+        text = text.replace(p.demographic, (m, label, sep, value) => {
+            pii.demographics.push(`${label}: ${value.trim()}`);
+            return `${label}${sep}${tokenFor('PERSONAL', value.trim())}`;
+        });
+        text = text.replace(p.ageMarker, m => { pii.demographics.push(m); return tokenFor('PERSONAL', m); });
+        text = text.replace(p.title, m => { pii.demographics.push(m); return ''; });
+        text = text.replace(p.addressLabel, (m, label, sep, value) => {
+            pii.addresses.push(value.trim());
+            return `${label}${sep}${tokenFor('ADDRESS', value.trim())}`;
+        });
+        text = text.replace(p.street, m => { pii.addresses.push(m.trim()); return tokenFor('ADDRESS', m.trim()); });
+        text = text.replace(p.postcode, m => { pii.addresses.push(m); return tokenFor('ADDRESS', m); });
+        text = text.replace(p.phone, m => {
+            // Date ranges and IDs look like phone numbers; require a real phone length or prefix
+            const digits = m.replace(/\D/g, '');
+            if (digits.length < 9 && !m.trim().startsWith('+')) return m;
+            pii.phones.push(m.trim());
+            return tokenFor('PHONE', m.trim());
+        });
+        text = text.replace(p.photoCaption, '');
+
+        if (name) {
+            pii.name = name;
+            tokens['[NAME]'] = name;
+            text = PIIRedactor.replaceName(text, name);
+        }
+
+        return { text, pii, tokens };
+    },
+
+    // Replaces the full name, then each part of it on its own (first name included), with
+    // [NAME]. Matching ignores case so "MARIA LOPEZ" and "maria" are caught as well.
+    replaceName: (text, name) => {
+        const words = name.split(/\s+/).filter(Boolean);
+        const parts = words.length > 1 ? words.filter(word => word.replace(/\W/g, '').length >= 2) : [];
+        return [words, ...parts.map(part => [part])].reduce((out, variant) => {
+            const pattern = variant.map(PIIRedactor.escapeRegExp).join('\\s+');
+            return out.replace(new RegExp(`(^|[^\\wÀ-ÿ])${pattern}(?=$|[^\\wÀ-ÿ])`, 'gi'), (m, lead) => `${lead}[NAME]`);
+        }, text);
+    },
+
+    // Redacts a further value found after redact() ran (employer and school names) from
+    // the redaction's text and returns its token. The same value always gets the same token.
+    addToken: (redaction, kind, original) => {
+        const existing = Object.keys(redaction.tokens).find(t => redaction.tokens[t] === original && t.startsWith(`[${kind}`));
+        if (existing) return existing;
+        const count = Object.keys(redaction.tokens).filter(t => t.startsWith(`[${kind}_`)).length;
+        const token = `[${kind}_${count + 1}]`;
+        redaction.tokens[token] = original;
+        (redaction.pii.organisations = redaction.pii.organisations || []).push(original);
+        redaction.text = redaction.text.replace(
+            new RegExp(`(^|[^\\wÀ-ÿ])${PIIRedactor.escapeRegExp(original)}(?=$|[^\\wÀ-ÿ])`, 'gi'), (m, lead) => `${lead}${token}`);
+        return token;
+    },
+
+    // Post-check for model output: removes any original value the model echoed back,
+    // plus anything that still looks like contact details.
+    scrub: (text, redaction) => {
+        if (!text) return text;
+        let out = String(text);
+        const { tokens = {}, pii = {} } = redaction || {};
+        for (const [token, original] of Object.entries(tokens)) {
+            if (token === '[NAME]' || !original || original.length < 3) continue;
+            out = out.replace(new RegExp(PIIRedactor.escapeRegExp(original), 'gi'), token);
+        }
+        if (pii.name) out = PIIRedactor.replaceName(out, pii.name);
+        out = out.replace(PIIRedactor.patterns.email, '[REDACTED]').replace(PIIRedactor.patterns.url, '[REDACTED]');
+        return out;
+    }
+};
+
+// 4. Identity Access Policy (the only route from the vault to the UI)
+// Every reveal, export, CV download, scheduling prefill or message calls IdentityAccess.request.
+// Granted and denied attempts alike are appended to a hash-chained audit log.
+const IdentityAccess = {
+    purposes: {
+        reveal: { label: 'Reveal identity', fields: ['realName', 'email', 'phone', 'organisations'] },
+        export: { label: 'Shortlist export', fields: ['realName', 'email'] },
+        cv_download: { label: 'CV download', fields: ['originalFile'] },
+        schedule_prefill: { label: 'Scheduling prefill', fields: ['realName', 'email'] },
+        messaging: { label: 'Candidate messaging', fields: ['realName', 'email'] }
+    },
+
+    POLICY_KEY: 'identity_access_policy',
+    REVIEWER_KEY: 'identity_access_reviewer',
+    MIN_REASON_LENGTH: 10,
+
+    getPolicy: () => {
+        try {
+            return { requireShortlist: false, anonymiseOrganisations: false, ...JSON.parse(localStorage.getItem(IdentityAccess.POLICY_KEY)) };
+        } catch (e) {
+            return { requireShortlist: false, anonymiseOrganisations: false };
+        }
+    },
+    savePolicy: (policy) => localStorage.setItem(IdentityAccess.POLICY_KEY, JSON.stringify(policy)),
+
+    getReviewer: () => localStorage.getItem(IdentityAccess.REVIEWER_KEY) || '',
+    setReviewer: (name) => localStorage.setItem(IdentityAccess.REVIEWER_KEY, name),
+
+    // Checks the policy, records the attempt and returns only the fields the purpose allows.
+    request: async ({ refId, alias, purpose, reason, reviewer, shortlisted }) => {
+        const spec = IdentityAccess.purposes[purpose];
+        const entry = { refId, alias, purpose, reason: (reason || '').trim(), who: (reviewer || '').trim(), fields: spec ? spec.fields : [] };
+
+        let denial = '';
+        if (!spec) denial = `Unknown access purpose "${purpose}".`;
+        else if (!entry.who) denial = 'A reviewer name is required for identity access.';
+        else if (entry.reason.length < IdentityAccess.MIN_REASON_LENGTH) denial = `Please give a reason of at least ${IdentityAccess.MIN_REASON_LENGTH} characters.`;
+        else if (IdentityAccess.getPolicy().requireShortlist && !shortlisted) denial = `${alias || 'This candidate'} must be shortlisted before identity access.`;
+        else if (!vault.isUnlocked) denial = 'The vault is locked.';
+
+        if (denial) {
+            await AuditLog.append({ ...entry, outcome: 'denied', detail: denial });
+            throw new Error(denial);
+        }
+
+        const pii = await vault.retrieve(refId);
+        await AuditLog.append({ ...entry, outcome: 'granted', detail: '' });
+        return Object.fromEntries(spec.fields.map(field => [field, pii[field]]));
+    }
+};
+
+// Append-only audit log. Each entry stores the SHA-256 of its predecessor, so edits or
+// deletions made outside the app show up in verify().
+const AuditLog = {
+    DB_NAME: 'hiring_assistant_audit',
+    _db: null,
+    _queue: Promise.resolve(),
+
+    _open: async () => {
+        if (!AuditLog._db) {
+            AuditLog._db = await IDB.open(AuditLog.DB_NAME, 1, (db) => {
+                db.createObjectStore('entries', { keyPath: 'seq' });
+            });
+        }
+        return AuditLog._db;
+    },
+
+    _hash: async (entry) => {
+        const { hash, ...content } = entry;
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(content)));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    // Appends are serialised so concurrent accesses cannot fork the chain. A failed append
+    // rejects for its caller only; the queue carries on with the next one.
+    append: (fields) => {
+        const next = AuditLog._queue.then(async () => {
+            const db = await AuditLog._open();
+            const last = await new Promise((resolve, reject) => {
+                const req = db.transaction('entries').objectStore('entries').openCursor(null, 'prev');
+                req.onsuccess = () => resolve(req.result ? req.result.value : null);
+                req.onerror = () => reject(req.error);
+            });
+            const entry = {
+                seq: last ? last.seq + 1 : 1,
+                at: new Date().toISOString(),
+                ...fields,
+                prevHash: last ? last.hash : ''
+            };
+            entry.hash = await AuditLog._hash(entry);
+            await IDB.run(db, 'entries', 'readwrite', s => s.add(entry));
+            return entry;
+        });
+        AuditLog._queue = next.catch(() => {});
+        return next;
+    },
+
+    list: async () => IDB.run(await AuditLog._open(), 'entries', 'readonly', s => s.getAll()),
+
+    // Returns { ok, brokenAt } after re-hashing the whole chain.
+    verify: async () => {
+        const entries = await AuditLog.list();
+        let prev = '';
+        for (const entry of entries) {
+            if (entry.prevHash !== prev || entry.hash !== await AuditLog._hash(entry)) return { ok: false, brokenAt: entry.seq };
+            prev = entry.hash;
+        }
+        return { ok: true, brokenAt: null };
+    },
+
+    toCSV: (entries) => {
+        const columns = ['seq', 'at', 'who', 'purpose', 'outcome', 'alias', 'refId', 'fields', 'reason', 'detail', 'hash'];
+        // Names and reasons are free text, so cells get the report export's formula guard
+        const cell = (value) => ReportExport.csvCell(Array.isArray(value) ? value.join('|') : value);
+        return [columns.join(','), ...entries.map(e => columns.map(c => cell(e[c])).join(','))].join('\n');
+    }
+};
+
+// 5. Skill Matcher (deterministic, offline scoring)
+// Skills are normalised through a synonym taxonomy before comparison, so "JS" and
+// "JavaScript" or "Postgres" and "PostgreSQL" count as the same thing. The same JD and
+// CV always produce the same score.
+const SkillMatcher = {
+    taxonomy: {
+        'JavaScript': ['js', 'javascript', 'ecmascript', 'es6', 'vanilla js'],
+        'TypeScript': ['ts', 'typescript'],
+        'Node.js': ['node', 'nodejs', 'node.js'],
+        'React': ['react', 'reactjs', 'react.js'],
+        'Angular': ['angular', 'angularjs'],
+        'Vue.js': ['vue', 'vuejs', 'vue.js'],
+        'Python': ['python', 'python3', 'py'],
+        'Java': ['java', 'java ee', 'j2ee'],
+        'C#': ['c#', 'csharp', 'c sharp'],
+        '.NET': ['.net', 'dotnet', 'asp.net', '.net core'],
+        'C++': ['c++', 'cpp'],
+        'Go': ['go', 'golang'],
+        'SQL': ['sql', 't-sql', 'tsql', 'pl/sql'],
+        'PostgreSQL': ['postgresql', 'postgres', 'psql'],
+        'MySQL': ['mysql', 'mariadb'],
+        'MongoDB': ['mongodb', 'mongo'],
+        'AWS': ['aws', 'amazon web services'],
+        'Azure': ['azure', 'microsoft azure'],
+        'GCP': ['gcp', 'google cloud', 'google cloud platform'],
+        'Docker': ['docker', 'containers', 'containerization'],
+        'Kubernetes': ['kubernetes', 'k8s'],
+        'CI/CD': ['ci/cd', 'cicd', 'continuous integration', 'continuous delivery', 'continuous deployment'],
+        'Git': ['git', 'github', 'gitlab', 'version control'],
+        'REST': ['rest', 'restful', 'rest api', 'rest apis'],
+        'GraphQL': ['graphql'],
+        'Machine Learning': ['machine learning', 'ml'],
+        'Data Analysis': ['data analysis', 'data analytics', 'analytics'],
+        'Excel': ['excel', 'microsoft excel', 'ms excel', 'spreadsheets'],
+        'Agile': ['agile', 'scrum', 'kanban', 'agile methodologies', 'scrum master'],
+        'Project Management': ['project management', 'pmp', 'prince2'],
+        'Communication': ['communication', 'communication skills', 'verbal communication', 'written communication'],
+        'Leadership': ['leadership', 'team leadership', 'people management'],
+        'Teamwork': ['teamwork', 'collaboration', 'team player']
+    },
+
+    _index: null,
+
+    // Comparison key: case-insensitive, ignoring punctuation except + and #.
+    key: (value) => String(value || '').toLowerCase().replace(/[^a-z0-9+#]/g, ''),
+
+    aliasIndex: () => {
+        if (!SkillMatcher._index) {
+            SkillMatcher._index = new Map();
+            for (const [canonical, aliases] of Object.entries(SkillMatcher.taxonomy)) {
+                [canonical, ...aliases].forEach(alias => SkillMatcher._index.set(SkillMatcher.key(alias), canonical));
+            }
+        }
+        return SkillMatcher._index;
+    },
+
+    // Aliases that are also everyday words or bare initials. Inside a longer phrase they only
+    // count when not written in lower case ("Go", "REST"), so "go-to-market" and "rest of" are not skills.
+    ambiguous: new Set(['go', 'rest', 'ts', 'js', 'ml', 'py', 'node']),
+
+    // Whole words of a phrase as written; hyphenated words stay one word
+    words: (text) => String(text || '').split(/[\s,;/()|]+/)
+        .map(word => word.replace(/^[^\w.#+]+|[^\w#+]+$/g, ''))
+        .filter(Boolean),
+
+    // Canonical skills named in a phrase as whole 1-3 word aliases, longest match first
+    phraseSkills: (text) => {
+        const index = SkillMatcher.aliasIndex();
+        const words = SkillMatcher.words(text);
+        const found = [];
+        for (let i = 0; i < words.length; i++) {
+            for (let size = Math.min(3, words.length - i); size >= 1; size--) {
+                const phrase = words.slice(i, i + size).join(' ');
+                const hit = index.get(SkillMatcher.key(phrase));
+                if (!hit || (size === 1 && SkillMatcher.ambiguous.has(phrase))) continue;
+                if (!found.includes(hit)) found.push(hit);
+                i += size - 1;
+                break;
+            }
+        }
+        return found;
+    },
+
+    // Whether the phrase contains the skill as whole words (for skills outside the taxonomy)
+    mentions: (text, skill) => {
+        const index = SkillMatcher.aliasIndex();
+        if (index.has(SkillMatcher.key(skill))) return SkillMatcher.phraseSkills(text).includes(index.get(SkillMatcher.key(skill)));
+        const words = SkillMatcher.words(text).map(SkillMatcher.key);
+        const wanted = SkillMatcher.words(skill).map(SkillMatcher.key);
+        return wanted.length > 0 && words.some((word, i) => wanted.every((part, j) => words[i + j] === part));
+    },
+
+    // Maps a skill to its canonical taxonomy name. Longer phrases ("Python programming")
+    // fall back to the first known skill named in them; unknown skills are kept as written.
+    normalize: (skill) => {
+        const full = SkillMatcher.aliasIndex().get(SkillMatcher.key(skill));
+        return full || SkillMatcher.phraseSkills(skill)[0] || String(skill || '').trim();
+    },
+
+    normalizeAll: (skills) => [...new Set((skills || []).map(SkillMatcher.normalize).filter(Boolean))],
+
+    // First "N years" / "N+ years" figure in a piece of text, or null.
+    parseYears: (text) => {
+        const match = String(text || '').match(/(\d{1,2})\s*\+?\s*(?:years?|yrs?)/i);
+        return match ? Number(match[1]) : null;
+    },
+
+    // 0 = none, 1 = diploma/associate, 2 = bachelor, 3 = master, 4 = doctorate.
+    degreeLevel: (text) => {
+        const t = String(text || '').toLowerCase();
+        if (/\b(ph\.?d|doctorate|doctoral)\b/.test(t)) return 4;
+        if (/\b(master'?s?|msc|m\.sc|mba|m\.eng|meng|ma)\b/.test(t)) return 3;
+        if (/\b(bachelor'?s?|bsc|b\.sc|ba|beng|b\.eng|undergraduate degree|degree)\b/.test(t)) return 2;
+        if (/\b(diploma|associate|hnd|certificate)\b/.test(t)) return 1;
+        return 0;
+    },
+
+    // Splits JD skills into must-have and nice-to-have. Edited criteria decide directly
+    // (knockouts count as must-have); otherwise skills only mentioned in requirements
+    // flagged as preferred/bonus are nice-to-have and the rest are required.
+    classifySkills: (jd) => {
+        if (jd.criteria) {
+            const names = (priority) => SkillMatcher.normalizeAll(jd.criteria.skills.filter(s => priority(s.priority)).map(s => s.name));
+            return { mustHave: names(p => p !== 'nice'), niceToHave: names(p => p === 'nice') };
+        }
+        const skills = SkillMatcher.normalizeAll(jd.skills);
+        const optionalLines = (jd.requirements || []).filter(r => /nice to have|preferred|bonus|\bplus\b|desirable|advantage/i.test(r));
+        const requiredLines = (jd.requirements || []).filter(r => !optionalLines.includes(r));
+        const mentions = (lines, skill) => lines.some(line => SkillMatcher.mentions(line, skill));
+        const niceToHave = skills.filter(skill => mentions(optionalLines, skill) && !mentions(requiredLines, skill));
+        return { mustHave: skills.filter(skill => !niceToHave.includes(skill)), niceToHave };
+    },
+
+    weights: { mustHave: 0.5, niceToHave: 0.2, experience: 0.2, qualifications: 0.1 },
+
+    // Returns { score, matched, missing, components } where components holds each
+    // applicable part as a 0-1 ratio. Parts that do not apply are left out and the
+    // remaining weights are rescaled.
+    score: (jd, cv) => {
+        const { mustHave, niceToHave } = SkillMatcher.classifySkills(jd);
+        const cvSkills = SkillMatcher.normalizeAll(cv.skills);
+        const has = (skill) => cvSkills.includes(skill);
+        const weightOf = (skill) => JDCriteria.find(jd.criteria?.skills, skill)?.weight ?? 1;
+        const ratio = (skills) => skills.filter(has).reduce((sum, s) => sum + weightOf(s), 0) /
+            skills.reduce((sum, s) => sum + weightOf(s), 0);
+
+        const components = {};
+        if (mustHave.length) components.mustHave = ratio(mustHave);
+        if (niceToHave.length) components.niceToHave = ratio(niceToHave);
+
+        const requiredYears = jd.criteria ? jd.criteria.minYears : SkillMatcher.parseYears(jd.experience);
+        if (requiredYears) {
+            components.experience = cv.yearsExperience === null || cv.yearsExperience === undefined
+                ? 0.5 // Unknown: neither rewarded nor ruled out
+                : Math.min(1, cv.yearsExperience / requiredYears);
+        }
+
+        const requiredLevel = SkillMatcher.degreeLevel(jd.qualifications);
+        if (requiredLevel) {
+            const cvLevel = Math.max(0, ...(cv.qualifications || []).map(SkillMatcher.degreeLevel));
+            components.qualifications = cvLevel >= requiredLevel ? 1 : cvLevel / requiredLevel;
+        }
+
+        const totalWeight = Object.keys(components).reduce((sum, part) => sum + SkillMatcher.weights[part], 0);
+        const score = totalWeight
+            ? Math.round(Object.entries(components).reduce((sum, [part, ratio]) => sum + SkillMatcher.weights[part] * ratio, 0) / totalWeight * 100)
+            : 0;
+
+        return {
+            score,
+            matched: [...mustHave, ...niceToHave].filter(has),
+            missing: mustHave.filter(skill => !has(skill)),
+            missingNiceToHave: niceToHave.filter(skill => !has(skill)),
+            knockouts: (jd.criteria?.skills || [])
+                .filter(s => s.priority === 'knockout' && !has(SkillMatcher.normalize(s.name)))
+                .map(s => SkillMatcher.normalize(s.name)),
+            components
+        };
+    },
+
+    explain: (result) => {
+        const parts = [`Matched ${result.matched.length} skill(s)`];
+        if (result.missing.length) parts.push(`missing must-have: ${result.missing.join(', ')}`);
+        if (result.components.experience !== undefined) parts.push(`experience ${Math.round(result.components.experience * 100)}%`);
+        return `${parts.join('; ')}.`;
+    }
+};
+
+// 6. Evidence Matcher (requirement-by-requirement check against the redacted CV)
+// Used as the offline evaluator, to fill requirements the model skipped, and to
+// replace evidence the model quoted but that does not appear in the CV.
+const EvidenceMatcher = {
+    stopwords: new Set(['a', 'an', 'and', 'or', 'the', 'of', 'in', 'on', 'for', 'to', 'with', 'at', 'by', 'as', 'is', 'are', 'be', 'have', 'has', 'must', 'should', 'will', 'able', 'ability', 'strong', 'good', 'excellent', 'proven', 'experience', 'experienced', 'knowledge', 'understanding', 'working', 'skills', 'skill', 'plus', 'preferred', 'required', 'least', 'years', 'year', 'using', 'e', 'g', 'etc']),
+    statusScore: { met: 1, partial: 0.5, not_met: 0 },
+    statusLabels: { met: 'Met', partial: 'Partially met', not_met: 'Not met' },
+
+    // A candidate's row for a JD requirement, found by its text rather than its position,
+    // so rows scored before the requirements were edited or reordered never get mixed up
+    rowFor: (rows, requirement) => {
+        const key = String(requirement || '').trim().toLowerCase();
+        return (rows || []).find(row => String(row.requirement || '').trim().toLowerCase() === key) || null;
+    },
+
+    sentences: (text) => String(text || '')
+        .split(/(?<=[.!?])\s+|\n+|\s[•·▪-]\s/)
+        .map(s => s.replace(/^[\s•·▪*-]+/, '').trim())
+        .filter(s => s.length >= 3),
+
+    words: (text) => String(text || '').toLowerCase().split(/[^a-z0-9+#.]+/)
+        .map(w => w.replace(/\.+$/, ''))
+        .filter(Boolean),
+
+    // Canonical taxonomy skills mentioned anywhere in the text (1-3 word phrases)
+    skillsIn: (text) => {
+        const index = SkillMatcher.aliasIndex();
+        const words = EvidenceMatcher.words(text);
+        const found = new Set();
+        for (let size = 1; size <= 3; size++) {
+            for (let i = 0; i + size <= words.length; i++) {
+                const hit = index.get(SkillMatcher.key(words.slice(i, i + size).join(' ')));
+                if (hit) found.add(hit);
+            }
+        }
+        return found;
+    },
+
+    // Words are compared by their first five letters, so "developer" matches "development"
+    stem: (word) => word.slice(0, 5),
+
+    // Canonical skills plus the remaining content words of a requirement
+    terms: (requirement) => {
+        const index = SkillMatcher.aliasIndex();
+        const words = EvidenceMatcher.words(requirement)
+            .filter(w => w.length > 1 && !EvidenceMatcher.stopwords.has(w) && !/^\d+\+?$/.test(w) && !index.has(SkillMatcher.key(w)));
+        return {
+            skills: [...EvidenceMatcher.skillsIn(requirement)],
+            words: [...new Set(words.map(EvidenceMatcher.stem))]
+        };
+    },
+
+    evaluate: (requirement, text) => {
+        const terms = EvidenceMatcher.terms(requirement);
+        const requiredYears = SkillMatcher.parseYears(requirement);
+        let best = { coverage: 0, sentence: '' };
+
+        const total = terms.skills.length + terms.words.length;
+        for (const sentence of EvidenceMatcher.sentences(text)) {
+            const skills = EvidenceMatcher.skillsIn(sentence);
+            const stems = new Set(EvidenceMatcher.words(sentence).map(EvidenceMatcher.stem));
+            const hits = terms.skills.filter(skill => skills.has(skill)).length
+                + terms.words.filter(stem => stems.has(stem)).length;
+            let coverage = total ? hits / total : 0;
+            if (requiredYears && hits) {
+                const years = SkillMatcher.parseYears(sentence);
+                if (years !== null && years < requiredYears) coverage = Math.min(coverage, 0.5);
+            }
+            if (coverage > best.coverage) best = { coverage, sentence };
+        }
+
+        const status = best.coverage >= 0.6 ? 'met' : best.coverage >= 0.3 ? 'partial' : 'not_met';
+        return { requirement, status, evidence: status === 'not_met' ? '' : best.sentence.slice(0, 300) };
+    },
+
+    evaluateAll: (requirements, text) =>
+        (requirements || []).map(requirement => EvidenceMatcher.evaluate(requirement, text)),
+
+    // Whitespace- and case-insensitive check that a quote really comes from the CV
+    isVerbatim: (quote, text) => {
+        const squash = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').replace(/^["'\s]+|["'.\s]+$/g, '');
+        const needle = squash(quote);
+        return needle.length >= 3 && squash(text).includes(needle);
+    },
+
+    // 0-100 from the breakdown; rows may carry a weight (defaults to 1)
+    score: (rows) => {
+        const total = rows.reduce((sum, row) => sum + (row.weight ?? 1), 0);
+        if (!total) return null;
+        const earned = rows.reduce((sum, row) => sum + (row.weight ?? 1) * (EvidenceMatcher.statusScore[row.status] ?? 0), 0);
+        return Math.round(earned / total * 100);
+    },
+
+    explain: (rows) => {
+        const count = (status) => rows.filter(row => row.status === status).length;
+        return `${count('met')} met, ${count('partial')} partially met, ${count('not_met')} not met → ${EvidenceMatcher.score(rows)}%`;
+    }
+};
+
+// 7. JD Criteria (the editable, weighted profile that matching runs against)
+// Stored on the JD as `criteria`; `skills` and `requirements` are kept in sync as
+// plain lists so prompts and older code paths keep working.
+const JDCriteria = {
+    priorities: { knockout: 'Knockout', must: 'Must-have', nice: 'Nice-to-have' },
+    maxWeight: 5,
+
+    // Default criteria from the model's analysis, before any edits
+    fromAnalysis: (jd) => {
+        const { niceToHave } = SkillMatcher.classifySkills({ ...jd, criteria: null });
+        const optional = /nice to have|preferred|bonus|plus|desirable|advantage/i;
+        return {
+            skills: (jd.skills || []).map(name => ({
+                name,
+                priority: niceToHave.includes(SkillMatcher.normalize(name)) ? 'nice' : 'must',
+                weight: 1
+            })),
+            requirements: (jd.requirements || []).map(text => ({
+                text,
+                priority: optional.test(text) ? 'nice' : 'must',
+                weight: 1
+            })),
+            minYears: SkillMatcher.parseYears(jd.experience)
+        };
+    },
+
+    of: (jd) => jd.criteria || JDCriteria.fromAnalysis(jd),
+
+    apply: (jd, criteria) => ({
+        ...jd,
+        criteria,
+        skills: criteria.skills.map(s => s.name),
+        requirements: criteria.requirements.map(r => r.text)
+    }),
+
+    find: (items, skill) => (items || []).find(item => SkillMatcher.normalize(item.name) === skill),
+
+    // Evidence rows carry the requirement's weight; nice-to-haves count half
+    weigh: (jd, rows) => rows.map((row, i) => {
+        const item = jd.criteria?.requirements[i];
+        if (!item) return row;
+        return { ...row, priority: item.priority, weight: item.weight * (item.priority === 'nice' ? 0.5 : 1) };
+    }),
+
+    sameAs: (a, b) => JSON.stringify(a) === JSON.stringify(b)
+};
+
+// 8. Work History (structured CV profile and computed experience)
+// Employment dates are normalised to "YYYY-MM" (or "present"), overlapping jobs are
+// merged before years are counted, and breaks of six months or more are reported as gaps.
+const WorkHistory = {
+    monthNames: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    presentWords: /^(?:present|current|currently|now|today|to date|date|ongoing)$/i,
+    minGapMonths: 6,
+
+    // "Mar 2019", "03/2019", "2019-03", "2019" -> "2019-03". A year on its own is read as
+    // January, or December when it ends a range, so "2015 - 2015" is a year long.
+    parseDate: (value, end = false) => {
+        const text = String(value || '').trim();
+        if (WorkHistory.presentWords.test(text)) return 'present';
+        let match = text.match(/^(\d{4})-(\d{1,2})/);
+        if (match) return `${match[1]}-${match[2].padStart(2, '0')}`;
+        match = text.match(/^(\d{1,2})[/.](\d{4})$/);
+        if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) return `${match[2]}-${match[1].padStart(2, '0')}`;
+        match = text.match(/^([a-z]{3,9})\.?,?\s+(\d{4})$/i);
+        const month = match ? WorkHistory.monthNames.indexOf(match[1].slice(0, 3).toLowerCase()) : -1;
+        if (month >= 0) return `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+        match = text.match(/\b((?:19|20)\d{2})\b/);
+        return match ? `${match[1]}-${end ? '12' : '01'}` : '';
+    },
+
+    // Months since year 0, so ranges can be compared and subtracted
+    monthIndex: (date) => {
+        if (date === 'present') {
+            const now = new Date();
+            return now.getFullYear() * 12 + now.getMonth();
+        }
+        const match = String(date || '').match(/^(\d{4})-(\d{2})$/);
+        return match ? Number(match[1]) * 12 + Number(match[2]) - 1 : null;
+    },
+
+    formatDate: (date) => {
+        if (date === 'present') return 'Present';
+        const index = WorkHistory.monthIndex(date);
+        if (index === null) return '?';
+        return `${WorkHistory.monthNames[index % 12].replace(/^./, c => c.toUpperCase())} ${Math.floor(index / 12)}`;
+    },
+
+    years: (months) => Math.round(months / 12 * 10) / 10,
+
+    dateRange: /((?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{4}|\d{1,2}\/\d{4}|\d{4}-\d{2}|(?:19|20)\d{2})\s*(?:-|–|—|to|until)\s*((?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{4}|\d{1,2}\/\d{4}|\d{4}-\d{2}|(?:19|20)\d{2}|present|current|now|today|date)/i,
+
+    sections: [
+        ['work', /^(?:work|professional|employment|career)?\s*(?:experience|employment|history|career history|work history)\s*:?$/i],
+        ['education', /^(?:education|academic (?:background|history)|qualifications)\s*:?$/i],
+        ['certifications', /^(?:certifications?|certificates|licen[cs]es(?: (?:and|&) certifications)?)\s*:?$/i],
+        ['languages', /^languages?\s*:?$/i],
+        ['other', /^(?:skills|technical skills|projects|interests|hobbies|references|summary|profile|contact|publications|awards)\s*:?$/i]
+    ],
+
+    roleWords: /\b(?:engineer|developer|programmer|manager|analyst|designer|consultant|lead|intern|director|officer|specialist|architect|administrator|scientist|assistant|head|coordinator|technician|teacher|accountant|associate|executive|representative|owner|founder|supervisor)\b/i,
+    schoolWords: /\b(?:university|college|school|institute|academy|polytechnic|universit[äéà]t?)\b/i,
+
+    splitHeader: (header) => String(header || '')
+        .split(/\s+(?:at|@)\s+|\s*[|,–—]\s*|\s+-\s+/)
+        .map(part => part.replace(/^[\s•·*()-]+|[\s•·*()-]+$/g, ''))
+        .filter(Boolean),
+
+    // Local, rule-based extraction from CV text: used by the offline mock and whenever
+    // the model returns no structured history.
+    extract: (text) => {
+        const lines = String(text || '').split('\n').map(l => l.trim());
+        const result = { employment: [], education: [], certifications: [], languages: [] };
+        let section = '';
+        let current = null;
+
+        const bullet = (line) => line.replace(/^[-*•·▪]\s*/, '').trim();
+        lines.forEach((line, i) => {
+            if (!line) return;
+            const heading = WorkHistory.sections.find(([, pattern]) => pattern.test(line));
+            if (heading) {
+                section = heading[0];
+                current = null;
+                return;
+            }
+
+            const inline = line.match(/^languages?\s*:\s*(.+)$/i);
+            if (inline) {
+                result.languages.push(...inline[1].split(/[,;]/).map(s => s.trim()).filter(Boolean));
+                return;
+            }
+
+            const range = line.match(WorkHistory.dateRange);
+            if (range && section !== 'education' && section !== 'certifications') {
+                // "Role, Employer  Jan 2019 - Present", or the header on the line above
+                let header = line.replace(range[0], '').replace(/[()|–—,:-]+\s*$/, '').trim();
+                const previous = lines.slice(0, i).reverse().find(Boolean) || '';
+                if (!WorkHistory.splitHeader(header).length && !previous.match(WorkHistory.dateRange) &&
+                    !WorkHistory.sections.some(([, pattern]) => pattern.test(previous))) header = previous;
+                const parts = WorkHistory.splitHeader(header);
+                const roleFirst = parts.length < 2 || WorkHistory.roleWords.test(parts[0]) || !WorkHistory.roleWords.test(parts[1]);
+                current = {
+                    role: (roleFirst ? parts[0] : parts[1]) || '',
+                    employer: (roleFirst ? parts[1] : parts[0]) || '',
+                    start: WorkHistory.parseDate(range[1]),
+                    end: WorkHistory.parseDate(range[2], true),
+                    technologies: [],
+                    detail: header
+                };
+                result.employment.push(current);
+                return;
+            }
+
+            if (section === 'education' || (!section && SkillMatcher.degreeLevel(line) >= 2 && WorkHistory.schoolWords.test(line))) {
+                const years = line.match(/\b(?:19|20)\d{2}\b/g) || [];
+                const parts = WorkHistory.splitHeader(bullet(line).replace(WorkHistory.dateRange, '').replace(/\b(?:19|20)\d{2}\b/g, ''));
+                if (SkillMatcher.degreeLevel(line) > 0 || WorkHistory.schoolWords.test(line)) {
+                    result.education.push({
+                        qualification: parts.find(p => SkillMatcher.degreeLevel(p) > 0) || parts.find(p => !WorkHistory.schoolWords.test(p)) || '',
+                        institution: parts.find(p => WorkHistory.schoolWords.test(p)) || parts.find(p => SkillMatcher.degreeLevel(p) === 0) || '',
+                        year: years.length ? years[years.length - 1] : ''
+                    });
+                }
+                return;
+            }
+
+            if (section === 'certifications' || (section !== 'education' && /\b(?:certified|certification|certificate)\b/i.test(line) && line.length < 120)) {
+                result.certifications.push(bullet(line));
+                return;
+            }
+            if (section === 'languages') {
+                result.languages.push(...bullet(line).split(/[,;]/).map(s => s.trim()).filter(Boolean));
+                return;
+            }
+            if (current && section !== 'other') current.detail += `\n${line}`;
+        });
+
+        result.employment.forEach(entry => {
+            entry.technologies = [...EvidenceMatcher.skillsIn(entry.detail)];
+            delete entry.detail;
+        });
+        return result;
+    },
+
+    // Cleans the model's structured history (dates, duplicates, skill names), falling
+    // back to local extraction for any part the model left empty.
+    fromAnalysis: (analysis, text) => {
+        const local = WorkHistory.extract(text);
+        const employment = (analysis.employment?.length ? analysis.employment : local.employment)
+            .map(entry => ({
+                role: entry.role || '',
+                employer: entry.employer || '',
+                start: WorkHistory.parseDate(entry.start),
+                end: WorkHistory.parseDate(entry.end, true) || WorkHistory.parseDate(entry.start, true),
+                technologies: SkillMatcher.normalizeAll(entry.technologies)
+            }))
+            .filter(entry => entry.role || entry.employer)
+            .sort((a, b) => (WorkHistory.monthIndex(b.start) ?? -1) - (WorkHistory.monthIndex(a.start) ?? -1));
+        const education = (analysis.education?.length ? analysis.education : local.education)
+            .map(entry => ({ qualification: entry.qualification || '', institution: entry.institution || '', year: String(entry.year || '') }))
+            .filter(entry => entry.qualification || entry.institution);
+        const unique = (list) => [...new Map(list.map(item => [item.toLowerCase(), item])).values()];
+        return {
+            employment,
+            education,
+            certifications: unique(analysis.certifications?.length ? analysis.certifications : local.certifications),
+            languages: unique(analysis.languages?.length ? analysis.languages : local.languages)
+        };
+    },
+
+    // Sorted, merged [from, to] month ranges; concurrent jobs are only counted once
+    merge: (entries) => entries
+        .map(entry => [WorkHistory.monthIndex(entry.start), WorkHistory.monthIndex(entry.end)])
+        .filter(([from, to]) => from !== null && to !== null && to >= from)
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, [from, to]) => {
+            const last = merged[merged.length - 1];
+            if (last && from <= last[1] + 1) last[1] = Math.max(last[1], to);
+            else merged.push([from, to]);
+            return merged;
+        }, []),
+
+    // Both ends are inclusive: "2015 – 2015" is [2015-01, 2015-12], twelve months
+    months: (ranges) => ranges.reduce((sum, [from, to]) => sum + to - from + 1, 0),
+
+    // { totalYears, skillYears: { skill: years }, gaps: [{ from, to, months }] }.
+    // totalYears is null when no entry has usable dates.
+    summarize: (employment) => {
+        const ranges = WorkHistory.merge(employment || []);
+        const skills = SkillMatcher.normalizeAll((employment || []).flatMap(entry => entry.technologies || []));
+        const skillYears = Object.fromEntries(skills
+            .map(skill => [skill, WorkHistory.years(WorkHistory.months(WorkHistory.merge(employment.filter(e => (e.technologies || []).includes(skill)))))])
+            .sort((a, b) => b[1] - a[1]));
+        const toDate = (index) => `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+        // A gap runs from the month after one job ends to the month before the next starts
+        const gaps = ranges.slice(1)
+            .map(([from], i) => ({ from: toDate(ranges[i][1] + 1), to: toDate(from - 1), months: from - ranges[i][1] - 1 }))
+            .filter(gap => gap.months >= WorkHistory.minGapMonths);
+        return { totalYears: ranges.length ? WorkHistory.years(WorkHistory.months(ranges)) : null, skillYears, gaps };
+    },
+
+    // Replaces employer and school names with [EMPLOYER_n] / [SCHOOL_n] in the history and
+    // the redaction. Returns token -> original name for the vault.
+    anonymise: (history, redaction) => {
+        const names = {};
+        const tokenise = (kind, name) => {
+            if (!name || /^\[[A-Z]+(_\d+)?\]$/.test(name)) return name;
+            const token = PIIRedactor.addToken(redaction, kind, name);
+            names[token] = name;
+            return token;
+        };
+        history.employment.forEach(entry => { entry.employer = tokenise('EMPLOYER', entry.employer); });
+        history.education.forEach(entry => { entry.institution = tokenise('SCHOOL', entry.institution); });
+        return names;
+    }
+};
+
+// 9. Candidate Table (sort, filter, search and paging for the comparison table)
+// Works on the anonymous profiles only; the view settings live in state.tableView and
+// reset with each requisition.
+const CandidateTable = {
+    pageSize: 25,
+
+    defaults: () => ({ sort: 'score', descending: true, query: '', skills: [], stage: '', minScore: 0, maxScore: 100, hideKnockedOut: false, page: 0 }),
+
+    // Sortable columns and the value each one sorts by
+    columns: {
+        alias: { label: 'Alias', value: (c) => c.alias.toLowerCase() },
+        score: { label: 'Match Score', value: (c) => c.score ?? -1 },
+        experience: { label: 'Experience', value: (c) => c.analysis?.experience?.totalYears ?? c.analysis?.yearsExperience ?? -1 },
+        requirements: { label: 'Requirements', value: (c) => EvidenceMatcher.score(c.requirements || []) ?? -1 },
+        stage: { label: 'Stage', value: (c) => Object.keys(Pipeline.stages).indexOf(Pipeline.stageOf(c.refId)) },
+        rating: { label: 'Rating', value: (c) => Pipeline.averageRating(c.refId) ?? -1 },
+        // Submitted interview feedback scores the candidate next to the CV match score
+        interview: { label: 'Interview Score', value: (c) => InterviewKit.score(Pipeline.of(c.refId).feedback) ?? -1 },
+        added: { label: 'Added', value: (c) => c.processedAt || '' }
+    },
+
+    searchText: (cand) => [
+        cand.alias, cand.details, cand.justification, ...(cand.skills || []),
+        ...(cand.requirements || []).map(row => row.evidence),
+        ...(cand.analysis?.employment || []).map(entry => entry.role),
+        ...Pipeline.of(cand.refId).notes.map(note => note.text)
+    ].join(' ').toLowerCase(),
+
+    matches: (cand, view) => {
+        if (cand.score < view.minScore || cand.score > view.maxScore) return false;
+        if (view.hideKnockedOut && cand.knockouts?.length) return false;
+        if (view.stage && Pipeline.stageOf(cand.refId) !== view.stage) return false;
+        if (view.skills.length) {
+            const skills = SkillMatcher.normalizeAll(cand.skills);
+            if (!view.skills.every(skill => skills.includes(skill))) return false;
+        }
+        const terms = view.query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length) {
+            const text = CandidateTable.searchText(cand);
+            if (!terms.every(term => text.includes(term))) return false;
+        }
+        return true;
+    },
+
+    // Filtered and sorted; ties keep arrival order
+    apply: (candidates, view) => {
+        const column = CandidateTable.columns[view.sort] || CandidateTable.columns.score;
+        const direction = view.descending ? -1 : 1;
+        return candidates
+            .filter(cand => CandidateTable.matches(cand, view))
+            .map((cand, i) => ({ cand, i, key: column.value(cand) }))
+            .sort((a, b) => (a.key < b.key ? -direction : a.key > b.key ? direction : a.i - b.i))
+            .map(({ cand }) => cand);
+    },
+
+    // Clamps the page to what the filtered list still has
+    page: (list, view) => {
+        const pages = Math.max(1, Math.ceil(list.length / CandidateTable.pageSize));
+        view.page = Math.min(Math.max(0, view.page), pages - 1);
+        const start = view.page * CandidateTable.pageSize;
+        return { rows: list.slice(start, start + CandidateTable.pageSize), start, pages };
+    }
+};
+
+// 10. Candidate Pipeline (stages, reviewer notes and ratings)
+// Kept in state.pipeline by refId, so the history stays with the anonymous profile and
+// nothing in it depends on the candidate's identity.
+const Pipeline = {
+    stages: {
+        new: 'New',
+        screened: 'Screened',
+        shortlisted: 'Shortlisted',
+        interview: 'Interview',
+        offer: 'Offer',
+        hired: 'Hired',
+        rejected: 'Rejected'
+    },
+    stageColors: {
+        new: 'var(--text-muted)',
+        screened: 'var(--secondary-color)',
+        shortlisted: 'var(--primary-color)',
+        interview: 'var(--primary-color)',
+        offer: 'var(--gold-color)',
+        hired: 'var(--success-color)',
+        rejected: 'var(--red-color)'
+    },
+    rejectionReasons: ['Missing must-have skills', 'Not enough experience', 'Knocked out by criteria', 'Withdrew', 'Position filled', 'Other'],
+    maxRating: 5,
+
+    of: (refId) => ({ stage: 'new', reason: '', history: [], notes: [], ratings: {}, feedback: [], interviews: [], messages: [], ...state.pipeline[refId] }),
+
+    stageOf: (refId) => Pipeline.of(refId).stage,
+
+    // Shortlisted or any later stage short of rejection
+    isShortlisted: (refId) => ['shortlisted', 'interview', 'offer', 'hired'].includes(Pipeline.stageOf(refId)),
+
+    // Throws when the move is not allowed; rejections need a reason.
+    move: (refId, stage, { reason = '', by = '' } = {}) => {
+        if (!Pipeline.stages[stage]) throw new Error(`Unknown pipeline stage "${stage}".`);
+        if (stage === 'rejected' && !reason.trim()) throw new Error('A rejection needs a reason.');
+        const record = Pipeline.of(refId);
+        if (record.stage === stage && record.reason === reason.trim()) return record;
+        state.pipeline[refId] = {
+            ...record,
+            stage,
+            reason: stage === 'rejected' ? reason.trim() : '',
+            history: [...record.history, { stage, reason: reason.trim(), by, at: new Date().toISOString() }]
+        };
+        return state.pipeline[refId];
+    },
+
+    addNote: (refId, text, by) => {
+        if (!String(text || '').trim()) throw new Error('The note is empty.');
+        const record = Pipeline.of(refId);
+        state.pipeline[refId] = { ...record, notes: [...record.notes, { text: text.trim(), by, at: new Date().toISOString() }] };
+        return state.pipeline[refId];
+    },
+
+    // One rating per reviewer; a later rating replaces the earlier one
+    rate: (refId, stars, by) => {
+        if (!by) throw new Error('A reviewer name is required to rate.');
+        const value = Math.round(Number(stars));
+        if (!(value >= 1 && value <= Pipeline.maxRating)) throw new Error(`Ratings go from 1 to ${Pipeline.maxRating}.`);
+        const record = Pipeline.of(refId);
+        state.pipeline[refId] = { ...record, ratings: { ...record.ratings, [by]: value } };
+        return state.pipeline[refId];
+    },
+
+    // Interview feedback against the candidate's kit; the interviewer's scorecard average
+    // also becomes their star rating.
+    addFeedback: (refId, { ratings, recommendation, notes, by }) => {
+        if (!by) throw new Error('A reviewer name is required for interview feedback.');
+        if (!InterviewKit.recommendations[recommendation]) throw new Error('Choose a recommendation.');
+        const record = Pipeline.of(refId);
+        const entry = { by, at: new Date().toISOString(), ratings, recommendation, notes: String(notes || '').trim() };
+        state.pipeline[refId] = { ...record, feedback: [...record.feedback, entry] };
+        const stars = InterviewKit.stars(entry);
+        if (stars) Pipeline.rate(refId, stars, by);
+        return state.pipeline[refId];
+    },
+
+    // Calendar bookings made from the schedule view: event ids and times only, never contact
+    // details. A rescheduled event keeps its entry and remembers the earlier times. Booking
+    // moves a candidate who is not interviewing yet to the Interview stage.
+    recordInterview: (refId, interview, { replaces = null, by = '' } = {}) => {
+        const record = Pipeline.of(refId);
+        const at = new Date().toISOString();
+        const previous = replaces && record.interviews.find(i => i.eventId === replaces);
+        const entry = {
+            ...interview,
+            status: 'scheduled',
+            by,
+            at,
+            rescheduled: previous ? [...(previous.rescheduled || []), { startMs: previous.startMs, endMs: previous.endMs, by, at }] : []
+        };
+        state.pipeline[refId] = {
+            ...record,
+            interviews: previous ? record.interviews.map(i => (i === previous ? entry : i)) : [...record.interviews, entry]
+        };
+        const order = Object.keys(Pipeline.stages);
+        if (order.indexOf(record.stage) < order.indexOf('interview')) Pipeline.move(refId, 'interview', { by });
+        return state.pipeline[refId];
+    },
+
+    cancelInterview: (refId, eventId, { by = '' } = {}) => {
+        const record = Pipeline.of(refId);
+        if (!record.interviews.some(i => i.eventId === eventId)) throw new Error('Interview not found.');
+        state.pipeline[refId] = {
+            ...record,
+            interviews: record.interviews.map(i => (i.eventId === eventId ? { ...i, status: 'cancelled', cancelledBy: by, cancelledAt: new Date().toISOString() } : i))
+        };
+        return state.pipeline[refId];
+    },
+
+    // Messages sent from the template library: which template, language and channel (.eml
+    // or mailto), never the address or the filled-in text.
+    recordMessage: (refId, { kind, language, channel, by = '' }) => {
+        const record = Pipeline.of(refId);
+        state.pipeline[refId] = { ...record, messages: [...record.messages, { kind, language, channel, by, at: new Date().toISOString() }] };
+        return state.pipeline[refId];
+    },
+
+    upcomingInterviews: (refId, now = Date.now()) => Pipeline.of(refId).interviews
+        .filter(i => i.status === 'scheduled' && i.endMs > now)
+        .sort((a, b) => a.startMs - b.startMs),
+
+    averageRating: (refId) => {
+        const values = Object.values(Pipeline.of(refId).ratings);
+        return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10 : null;
+    },
+
+    // Folds a merged-away candidate's notes, ratings and history into the kept one
+    merge: (keptRefId, removedRefId) => {
+        if (!state.pipeline[removedRefId]) return;
+        const kept = Pipeline.of(keptRefId);
+        const removed = state.pipeline[removedRefId];
+        const byTime = (a, b) => a.at.localeCompare(b.at);
+        state.pipeline[keptRefId] = {
+            ...kept,
+            ...(kept.stage === 'new' ? { stage: removed.stage, reason: removed.reason } : {}),
+            history: [...removed.history, ...kept.history].sort(byTime),
+            notes: [...removed.notes, ...kept.notes].sort(byTime),
+            feedback: [...(removed.feedback || []), ...kept.feedback].sort(byTime),
+            interviews: [...(removed.interviews || []), ...kept.interviews].sort((a, b) => a.startMs - b.startMs),
+            messages: [...(removed.messages || []), ...kept.messages].sort(byTime),
+            ratings: { ...removed.ratings, ...kept.ratings }
+        };
+        delete state.pipeline[removedRefId];
+    }
+};
+
+// 11. Report Export (CSV, JSON and the printable hiring report)
+// Rows carry identity fields only when an identity was passed in for that candidate;
+// callers pass them for revealed candidates alone, after an audited export request.
+const ReportExport = {
+    row: (cand, identity) => {
+        const record = Pipeline.of(cand.refId);
+        return {
+            alias: cand.alias,
+            ...(identity ? Object.fromEntries(IdentityAccess.purposes.export.fields.map(field => [field, identity[field] || ''])) : {}),
+            score: cand.score,
+            localScore: cand.localScore ?? null,
+            modelScore: cand.modelScore ?? null,
+            stage: record.stage,
+            rejectionReason: record.reason || '',
+            rating: Pipeline.averageRating(cand.refId),
+            interviewScore: InterviewKit.score(record.feedback),
+            yearsExperience: cand.analysis?.experience?.totalYears ?? cand.analysis?.yearsExperience ?? null,
+            matchedSkills: cand.match?.matched || [],
+            missingSkills: cand.match?.missing || [],
+            knockouts: cand.knockouts || [],
+            justification: cand.justification || '',
+            requirements: (cand.requirements || []).map(({ requirement, status, evidence }) => ({ requirement, status, evidence: evidence || '' })),
+            notes: record.notes.map(({ at, by, text }) => ({ at, by, text })),
+            interviewFeedback: record.feedback.map(({ at, by, ratings, recommendation, notes }) => ({ at, by, ratings, recommendation, notes }))
+        };
+    },
+
+    rows: (candidates, identities = new Map()) => candidates.map(cand => ReportExport.row(cand, identities.get(cand.refId))),
+
+    // Spreadsheet-safe cell: quoted, and formulas (=, +, -, @) are neutralised
+    csvCell: (value) => {
+        let text = String(Array.isArray(value) ? value.join('; ') : (value ?? ''));
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return `"${text.replace(/"/g, '""')}"`;
+    },
+
+    // One row per candidate; each JD requirement gets a status column
+    toCSV: (rows, requirements = []) => {
+        const hasIdentity = rows.some(row => 'realName' in row);
+        const columns = [
+            ['Alias', row => row.alias],
+            ...(hasIdentity ? [['Name', row => row.realName], ['Email', row => row.email]] : []),
+            ['Score', row => row.score],
+            ['Stage', row => Pipeline.stages[row.stage]],
+            ['Rejection reason', row => row.rejectionReason],
+            ['Rating', row => row.rating],
+            ['Interview score', row => row.interviewScore],
+            ['Years of experience', row => row.yearsExperience],
+            ['Matched skills', row => row.matchedSkills],
+            ['Missing skills', row => row.missingSkills],
+            ['Knockouts', row => row.knockouts],
+            ...requirements.map(requirement => [requirement, row => {
+                const result = EvidenceMatcher.rowFor(row.requirements, requirement);
+                return result ? EvidenceMatcher.statusLabels[result.status] || result.status : '';
+            }]),
+            ['Justification', row => row.justification],
+            ['Notes', row => row.notes.map(note => `${note.by}: ${note.text}`).join(' | ')]
+        ];
+        return [
+            columns.map(([label]) => ReportExport.csvCell(label)).join(','),
+            ...rows.map(row => columns.map(([, value]) => ReportExport.csvCell(value(row))).join(','))
+        ].join('\r\n');
+    },
+
+    toJSON: (requisition, rows) => JSON.stringify({
+        requisition: requisition.name,
+        exportedAt: new Date().toISOString(),
+        jobDescription: requisition.jd ? { title: requisition.jd.title, criteria: JDCriteria.of(requisition.jd) } : null,
+        candidates: rows
+    }, null, 2),
+
+    // Counts per 20-point score band, highest band first
+    distribution: (rows) => [80, 60, 40, 20, 0].map(from => ({
+        label: from === 80 ? '80–100' : `${from}–${from + 19}`,
+        count: rows.filter(row => row.score >= from && (from === 80 || row.score < from + 20)).length
+    })),
+
+    // Standalone HTML document, laid out for printing or saving as PDF
+    toHTML: (requisition, rows) => {
+        const jd = requisition.jd || {};
+        const criteria = JDCriteria.of(jd);
+        const bands = ReportExport.distribution(rows);
+        const widest = Math.max(1, ...bands.map(band => band.count));
+        const identity = (row) => ('realName' in row && row.realName ? ` — ${escapeHtml(row.realName)}${row.email ? ` (${escapeHtml(row.email)})` : ''}` : '');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Hiring report: ${escapeHtml(requisition.name)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #0e1020; margin: 2rem; line-height: 1.45; }
+    h1 { margin-bottom: 0; }
+    h2 { border-bottom: 2px solid #4995ff; padding-bottom: 0.25rem; margin-top: 2rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #ccc; vertical-align: top; }
+    .muted { color: #555; }
+    .bar { background: #4995ff; height: 0.9rem; }
+    .met { color: #16a34a; } .partial { color: #555; } .not_met { color: #d14600; }
+    .candidate { page-break-inside: avoid; margin-top: 1.5rem; }
+    .signoff td { height: 2.5rem; }
+    @media print { body { margin: 1cm; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(requisition.name)}</h1>
+<p class="muted">${escapeHtml(jd.title || '')} · Hiring report generated ${new Date().toLocaleString()} · ${rows.length} candidate(s)</p>
+
+<h2>Job criteria</h2>
+<table>
+    <tr><th>Skill</th><th>Priority</th><th>Weight</th></tr>
+    ${criteria.skills.map(s => `<tr><td>${escapeHtml(s.name)}</td><td>${JDCriteria.priorities[s.priority]}</td><td>${s.weight}</td></tr>`).join('')}
+</table>
+<table style="margin-top: 1rem;">
+    <tr><th>Requirement</th><th>Priority</th><th>Weight</th></tr>
+    ${criteria.requirements.map(r => `<tr><td>${escapeHtml(r.text)}</td><td>${JDCriteria.priorities[r.priority]}</td><td>${r.weight}</td></tr>`).join('')}
+</table>
+${criteria.minYears ? `<p>Minimum experience: ${criteria.minYears} years.</p>` : ''}
+
+<h2>Score distribution</h2>
+<table>
+    ${bands.map(band => `<tr><td style="width: 6rem;">${band.label}%</td><td><div class="bar" style="width: ${band.count / widest * 100}%;"></div></td><td style="width: 3rem;">${band.count}</td></tr>`).join('')}
+</table>
+
+<h2>Candidates</h2>
+<table>
+    <tr><th>Candidate</th><th>Score</th><th>Stage</th><th>Rating</th><th>Interview</th><th>Knockouts</th></tr>
+    ${rows.map(row => `<tr><td>${escapeHtml(row.alias)}${identity(row)}</td><td>${row.score}%</td><td>${Pipeline.stages[row.stage]}${row.rejectionReason ? ` (${escapeHtml(row.rejectionReason)})` : ''}</td><td>${row.rating ?? '—'}</td><td>${row.interviewScore !== null ? `${row.interviewScore}%` : '—'}</td><td>${escapeHtml(row.knockouts.join(', ')) || '—'}</td></tr>`).join('')}
+</table>
+
+${rows.map(row => `
+<div class="candidate">
+    <h3>${escapeHtml(row.alias)}${identity(row)} · ${row.score}%</h3>
+    <p class="muted">${escapeHtml(row.justification)}</p>
+    ${row.requirements.length ? `
+    <table>
+        <tr><th style="width: 35%;">Requirement</th><th>Result</th><th>Evidence from the CV</th></tr>
+        ${row.requirements.map(r => `<tr><td>${escapeHtml(r.requirement)}</td><td class="${r.status}">${EvidenceMatcher.statusLabels[r.status] || escapeHtml(r.status)}</td><td><i>${r.evidence ? `“${escapeHtml(r.evidence)}”` : '—'}</i></td></tr>`).join('')}
+    </table>` : ''}
+    ${row.interviewFeedback.length ? `<p><strong>Interview feedback</strong></p>${row.interviewFeedback.map(entry => `<p class="muted">${escapeHtml(entry.by)}, ${new Date(entry.at).toLocaleDateString()}: ${InterviewKit.recommendations[entry.recommendation]}${entry.notes ? `. ${escapeHtml(entry.notes)}` : ''}</p>`).join('')}` : ''}
+    ${row.notes.length ? `<p><strong>Notes</strong></p>${row.notes.map(note => `<p class="muted">${escapeHtml(note.by)}, ${new Date(note.at).toLocaleDateString()}: ${escapeHtml(note.text)}</p>`).join('')}` : ''}
+</div>`).join('')}
+
+<h2>Sign-off</h2>
+<table class="signoff">
+    <tr><th style="width: 30%;">Role</th><th>Name</th><th>Signature</th><th style="width: 15%;">Date</th></tr>
+    <tr><td>Hiring manager</td><td></td><td></td><td></td></tr>
+    <tr><td>Recruiter</td><td></td><td></td><td></td></tr>
+</table>
+</body>
+</html>`;
+    }
+};
+
+// 12. Interview Kit (questions, scorecard and feedback per candidate)
+// Built from the JD criteria and the candidate's requirement breakdown: every unmet or
+// partly met requirement gets a probing question, claimed skills get a verification
+// question, and must-haves become scorecard rows rated 1-5 against written anchors.
+const InterviewKit = {
+    recommendations: { advance: 'Advance', hold: 'Hold', reject: 'Reject' },
+    maxScorecardRows: 8,
+    defaultAnchors: {
+        poor: 'No relevant example, or only textbook knowledge.',
+        meets: 'A relevant, recent example in which their own contribution is clear.',
+        strong: 'Several examples; explains trade-offs and results and could coach others.'
+    },
+
+    // Deterministic kit; also what the offline mock answers with
+    build: (jd, cand) => {
+        const criteria = JDCriteria.of(jd || {});
+        const gaps = (cand.requirements || []).filter(row => row.status !== 'met').map(row => ({
+            topic: row.requirement,
+            kind: 'gap',
+            question: row.status === 'partial'
+                ? `Your CV touches on "${row.requirement}" without much detail. Walk me through the most demanding time you applied it: what was the situation and what exactly did you do?`
+                : `The role needs "${row.requirement}". What is the closest experience you have, and how would you get up to speed in the first months?`,
+            lookFor: row.evidence
+                ? `Goes beyond what the CV says (“${row.evidence}”) with specifics and outcomes.`
+                : 'Concrete, recent examples with their own part clear; a realistic plan where experience is missing.'
+        }));
+        const skillYears = cand.analysis?.experience?.skillYears || {};
+        const verification = (cand.match?.matched || cand.skills || []).slice(0, 6).map(skill => ({
+            topic: skill,
+            kind: 'verification',
+            question: `You list ${skill}${skillYears[skill] ? ` across about ${skillYears[skill]} years` : ''}. Describe something you built with it recently, the hardest problem you hit and how you solved it.`,
+            lookFor: 'Details only hands-on use gives: tools and versions, numbers, what they would do differently.'
+        }));
+        const mustHaves = [
+            ...criteria.requirements.filter(r => r.priority !== 'nice').map(r => r.text),
+            ...criteria.skills.filter(s => s.priority !== 'nice').map(s => s.name)
+        ];
+        const scorecard = [...new Set(mustHaves)].slice(0, InterviewKit.maxScorecardRows)
+            .map(criterion => ({ criterion, ...InterviewKit.defaultAnchors }));
+        return {
+            questions: [...gaps, ...verification],
+            scorecard: scorecard.length ? scorecard : [{ criterion: 'Overall fit for the role', ...InterviewKit.defaultAnchors }]
+        };
+    },
+
+    // 0-100 from every interviewer's scorecard ratings (1 = 0, 5 = 100), or null
+    score: (feedback) => {
+        const ratings = (feedback || []).flatMap(entry => Object.values(entry.ratings || {}));
+        if (!ratings.length) return null;
+        return Math.round((ratings.reduce((sum, r) => sum + r, 0) / ratings.length - 1) / 4 * 100);
+    },
+
+    // Mean of one interviewer's scorecard ratings, rounded to whole stars
+    stars: (entry) => {
+        const ratings = Object.values(entry.ratings || {});
+        return ratings.length ? Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length) : null;
+    }
+};
+
+// 13. Message Templates (candidate emails with per-language variants)
+// Placeholders such as {{candidate.firstName}} are filled from the JD, the candidate's next
+// interview and the identity fields granted for messaging. Edited templates are kept in
+// localStorage and take precedence over the built-in text for their language.
+const MessageTemplates = {
+    STORAGE_KEY: 'message_templates_v1',
+    languages: { en: 'English', fr: 'Français', de: 'Deutsch', es: 'Español' },
+    // `stage` is where each template is usually sent from; it picks the composer's default
+    kinds: {
+        interview_invite: { label: 'Interview invite', stage: 'shortlisted' },
+        interview_invite_ics: { label: 'Interview invite (calendar file attached)', stage: null },
+        confirmation: { label: 'Interview confirmation', stage: 'interview' },
+        reminder: { label: 'Interview reminder', stage: null },
+        rejection: { label: 'Rejection', stage: 'rejected' },
+        more_info: { label: 'Request for more information', stage: 'screened' }
+    },
+    placeholders: {
+        'candidate.name': 'Full name',
+        'candidate.firstName': 'First name',
+        'candidate.alias': 'Anonymous alias',
+        'job.title': 'Job title from the JD',
+        'company.name': 'Company name (set in the composer)',
+        'recruiter.name': 'Your reviewer name',
+        'interview.date': 'Date of the next interview',
+        'interview.time': 'Start and end time',
+        'interview.timezone': 'Time zone of the interview',
+        'interview.link': 'Video call link, when the calendar made one',
+        'missing.requirements': 'Requirements not (fully) met, one per line'
+    },
+    channels: { eml: '.eml draft', mailto: 'Mail app' },
+
+    // Bodies are lists of paragraphs
+    defaults: {
+        en: {
+            interview_invite: {
+                subject: 'Interview invitation: {{job.title}} at {{company.name}}',
+                body: [
+                    'Dear {{candidate.firstName}},',
+                    'Thank you for your application for the {{job.title}} position at {{company.name}}. We would like to invite you to an interview on {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Video call link: {{interview.link}}',
+                    'You will receive a calendar invitation separately. If this time does not suit you, please reply with a few alternatives.',
+                    'Kind regards,\n{{recruiter.name}}'
+                ]
+            },
+            interview_invite_ics: {
+                subject: 'Interview invitation: {{job.title}} at {{company.name}}',
+                body: [
+                    'Dear {{candidate.firstName}},',
+                    'Thank you for your application for the {{job.title}} position at {{company.name}}. We would like to invite you to an interview on {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Video call link: {{interview.link}}',
+                    'The calendar invitation is attached to this email; open it to add the interview to your calendar. If this time does not suit you, please reply with a few alternatives.',
+                    'Kind regards,\n{{recruiter.name}}'
+                ]
+            },
+            confirmation: {
+                subject: 'Interview confirmed: {{job.title}}',
+                body: [
+                    'Dear {{candidate.firstName}},',
+                    'This confirms your interview for the {{job.title}} position on {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Video call link: {{interview.link}}',
+                    'Please accept the calendar invitation so that it appears in your calendar. If anything changes, just reply to this email.',
+                    'Kind regards,\n{{recruiter.name}}'
+                ]
+            },
+            reminder: {
+                subject: 'Reminder: your interview on {{interview.date}}',
+                body: [
+                    'Dear {{candidate.firstName}},',
+                    'A quick reminder of your interview for the {{job.title}} position on {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Video call link: {{interview.link}}',
+                    'We look forward to speaking with you.',
+                    'Kind regards,\n{{recruiter.name}}'
+                ]
+            },
+            rejection: {
+                subject: 'Your application for {{job.title}}',
+                body: [
+                    'Dear {{candidate.firstName}},',
+                    'Thank you for your interest in the {{job.title}} position at {{company.name}} and for the time you put into your application.',
+                    'After careful consideration, we have decided not to move forward with your application.',
+                    'We wish you every success in your search.',
+                    'Kind regards,\n{{recruiter.name}}'
+                ]
+            },
+            more_info: {
+                subject: 'Your application for {{job.title}}: a few questions',
+                body: [
+                    'Dear {{candidate.firstName}},',
+                    'Thank you for applying for the {{job.title}} position at {{company.name}}. Before we take your application further, we would like to know more about your experience with:',
+                    '{{missing.requirements}}',
+                    'A few lines on each, with an example from your work, would be very helpful.',
+                    'Kind regards,\n{{recruiter.name}}'
+                ]
+            }
+        },
+        fr: {
+            interview_invite: {
+                subject: 'Invitation à un entretien : {{job.title}} chez {{company.name}}',
+                body: [
+                    'Bonjour {{candidate.firstName}},',
+                    'Merci pour votre candidature au poste de {{job.title}} chez {{company.name}}. Nous souhaitons vous inviter à un entretien le {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Lien de la visioconférence : {{interview.link}}',
+                    'Vous recevrez une invitation d’agenda séparément. Si ce créneau ne vous convient pas, merci de nous proposer d’autres disponibilités en réponse à ce message.',
+                    'Cordialement,\n{{recruiter.name}}'
+                ]
+            },
+            interview_invite_ics: {
+                subject: 'Invitation à un entretien : {{job.title}} chez {{company.name}}',
+                body: [
+                    'Bonjour {{candidate.firstName}},',
+                    'Merci pour votre candidature au poste de {{job.title}} chez {{company.name}}. Nous souhaitons vous inviter à un entretien le {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Lien de la visioconférence : {{interview.link}}',
+                    'L’invitation d’agenda est jointe à ce message ; ouvrez-la pour ajouter l’entretien à votre calendrier. Si ce créneau ne vous convient pas, merci de nous proposer d’autres disponibilités en réponse à ce message.',
+                    'Cordialement,\n{{recruiter.name}}'
+                ]
+            },
+            confirmation: {
+                subject: 'Confirmation de votre entretien : {{job.title}}',
+                body: [
+                    'Bonjour {{candidate.firstName}},',
+                    'Nous vous confirmons votre entretien pour le poste de {{job.title}} le {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Lien de la visioconférence : {{interview.link}}',
+                    'Merci d’accepter l’invitation d’agenda afin qu’elle apparaisse dans votre calendrier. En cas d’imprévu, il vous suffit de répondre à ce message.',
+                    'Cordialement,\n{{recruiter.name}}'
+                ]
+            },
+            reminder: {
+                subject: 'Rappel : votre entretien du {{interview.date}}',
+                body: [
+                    'Bonjour {{candidate.firstName}},',
+                    'Petit rappel de votre entretien pour le poste de {{job.title}} le {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Lien de la visioconférence : {{interview.link}}',
+                    'Au plaisir d’échanger avec vous.',
+                    'Cordialement,\n{{recruiter.name}}'
+                ]
+            },
+            rejection: {
+                subject: 'Votre candidature au poste de {{job.title}}',
+                body: [
+                    'Bonjour {{candidate.firstName}},',
+                    'Merci de l’intérêt que vous portez au poste de {{job.title}} chez {{company.name}} et du temps consacré à votre candidature.',
+                    'Après examen attentif, nous avons décidé de ne pas donner suite à votre candidature.',
+                    'Nous vous souhaitons pleine réussite dans vos recherches.',
+                    'Cordialement,\n{{recruiter.name}}'
+                ]
+            },
+            more_info: {
+                subject: 'Votre candidature au poste de {{job.title}} : quelques questions',
+                body: [
+                    'Bonjour {{candidate.firstName}},',
+                    'Merci pour votre candidature au poste de {{job.title}} chez {{company.name}}. Avant d’aller plus loin, nous aimerions en savoir plus sur votre expérience concernant :',
+                    '{{missing.requirements}}',
+                    'Quelques lignes sur chaque point, avec un exemple tiré de votre parcours, nous seraient très utiles.',
+                    'Cordialement,\n{{recruiter.name}}'
+                ]
+            }
+        },
+        de: {
+            interview_invite: {
+                subject: 'Einladung zum Vorstellungsgespräch: {{job.title}} bei {{company.name}}',
+                body: [
+                    'Guten Tag {{candidate.name}},',
+                    'vielen Dank für Ihre Bewerbung als {{job.title}} bei {{company.name}}. Gerne möchten wir Sie am {{interview.date}}, {{interview.time}} ({{interview.timezone}}) zu einem Vorstellungsgespräch einladen.',
+                    'Link zur Videokonferenz: {{interview.link}}',
+                    'Eine Kalendereinladung erhalten Sie separat. Falls Ihnen der Termin nicht passt, schlagen Sie uns bitte in Ihrer Antwort einige Alternativen vor.',
+                    'Mit freundlichen Grüßen\n{{recruiter.name}}'
+                ]
+            },
+            interview_invite_ics: {
+                subject: 'Einladung zum Vorstellungsgespräch: {{job.title}} bei {{company.name}}',
+                body: [
+                    'Guten Tag {{candidate.name}},',
+                    'vielen Dank für Ihre Bewerbung als {{job.title}} bei {{company.name}}. Gerne möchten wir Sie am {{interview.date}}, {{interview.time}} ({{interview.timezone}}) zu einem Vorstellungsgespräch einladen.',
+                    'Link zur Videokonferenz: {{interview.link}}',
+                    'Die Kalendereinladung ist dieser E-Mail beigefügt; öffnen Sie sie, um den Termin in Ihren Kalender zu übernehmen. Falls Ihnen der Termin nicht passt, schlagen Sie uns bitte in Ihrer Antwort einige Alternativen vor.',
+                    'Mit freundlichen Grüßen\n{{recruiter.name}}'
+                ]
+            },
+            confirmation: {
+                subject: 'Bestätigung Ihres Vorstellungsgesprächs: {{job.title}}',
+                body: [
+                    'Guten Tag {{candidate.name}},',
+                    'hiermit bestätigen wir Ihr Vorstellungsgespräch für die Position {{job.title}} am {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Link zur Videokonferenz: {{interview.link}}',
+                    'Bitte nehmen Sie die Kalendereinladung an, damit der Termin in Ihrem Kalender erscheint. Sollte sich etwas ändern, antworten Sie einfach auf diese E-Mail.',
+                    'Mit freundlichen Grüßen\n{{recruiter.name}}'
+                ]
+            },
+            reminder: {
+                subject: 'Erinnerung: Ihr Vorstellungsgespräch am {{interview.date}}',
+                body: [
+                    'Guten Tag {{candidate.name}},',
+                    'wir möchten Sie kurz an Ihr Vorstellungsgespräch für die Position {{job.title}} am {{interview.date}}, {{interview.time}} ({{interview.timezone}}) erinnern.',
+                    'Link zur Videokonferenz: {{interview.link}}',
+                    'Wir freuen uns auf das Gespräch mit Ihnen.',
+                    'Mit freundlichen Grüßen\n{{recruiter.name}}'
+                ]
+            },
+            rejection: {
+                subject: 'Ihre Bewerbung als {{job.title}}',
+                body: [
+                    'Guten Tag {{candidate.name}},',
+                    'vielen Dank für Ihr Interesse an der Position {{job.title}} bei {{company.name}} und die Zeit, die Sie in Ihre Bewerbung investiert haben.',
+                    'Nach sorgfältiger Prüfung haben wir uns entschieden, Ihre Bewerbung nicht weiter zu berücksichtigen.',
+                    'Für Ihre weitere Suche wünschen wir Ihnen viel Erfolg.',
+                    'Mit freundlichen Grüßen\n{{recruiter.name}}'
+                ]
+            },
+            more_info: {
+                subject: 'Ihre Bewerbung als {{job.title}}: einige Fragen',
+                body: [
+                    'Guten Tag {{candidate.name}},',
+                    'vielen Dank für Ihre Bewerbung als {{job.title}} bei {{company.name}}. Bevor wir weitermachen, würden wir gerne mehr über Ihre Erfahrung in folgenden Bereichen erfahren:',
+                    '{{missing.requirements}}',
+                    'Ein paar Zeilen zu jedem Punkt, gern mit einem Beispiel aus Ihrer bisherigen Tätigkeit, würden uns sehr helfen.',
+                    'Mit freundlichen Grüßen\n{{recruiter.name}}'
+                ]
+            }
+        },
+        es: {
+            interview_invite: {
+                subject: 'Invitación a entrevista: {{job.title}} en {{company.name}}',
+                body: [
+                    'Hola, {{candidate.firstName}}:',
+                    'Gracias por tu candidatura al puesto de {{job.title}} en {{company.name}}. Nos gustaría invitarte a una entrevista el {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Enlace de la videollamada: {{interview.link}}',
+                    'Recibirás una invitación de calendario por separado. Si este horario no te viene bien, respóndenos con algunas alternativas.',
+                    'Un saludo,\n{{recruiter.name}}'
+                ]
+            },
+            interview_invite_ics: {
+                subject: 'Invitación a entrevista: {{job.title}} en {{company.name}}',
+                body: [
+                    'Hola, {{candidate.firstName}}:',
+                    'Gracias por tu candidatura al puesto de {{job.title}} en {{company.name}}. Nos gustaría invitarte a una entrevista el {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Enlace de la videollamada: {{interview.link}}',
+                    'La invitación de calendario va adjunta a este correo; ábrela para añadir la entrevista a tu calendario. Si este horario no te viene bien, respóndenos con algunas alternativas.',
+                    'Un saludo,\n{{recruiter.name}}'
+                ]
+            },
+            confirmation: {
+                subject: 'Entrevista confirmada: {{job.title}}',
+                body: [
+                    'Hola, {{candidate.firstName}}:',
+                    'Te confirmamos la entrevista para el puesto de {{job.title}} el {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Enlace de la videollamada: {{interview.link}}',
+                    'Acepta la invitación de calendario para que aparezca en tu agenda. Si surge cualquier cambio, basta con responder a este correo.',
+                    'Un saludo,\n{{recruiter.name}}'
+                ]
+            },
+            reminder: {
+                subject: 'Recordatorio: tu entrevista del {{interview.date}}',
+                body: [
+                    'Hola, {{candidate.firstName}}:',
+                    'Te recordamos tu entrevista para el puesto de {{job.title}} el {{interview.date}}, {{interview.time}} ({{interview.timezone}}).',
+                    'Enlace de la videollamada: {{interview.link}}',
+                    'Tenemos muchas ganas de hablar contigo.',
+                    'Un saludo,\n{{recruiter.name}}'
+                ]
+            },
+            rejection: {
+                subject: 'Tu candidatura al puesto de {{job.title}}',
+                body: [
+                    'Hola, {{candidate.firstName}}:',
+                    'Gracias por tu interés en el puesto de {{job.title}} en {{company.name}} y por el tiempo dedicado a tu candidatura.',
+                    'Tras valorarla detenidamente, hemos decidido no seguir adelante con tu candidatura.',
+                    'Te deseamos mucho éxito en tu búsqueda.',
+                    'Un saludo,\n{{recruiter.name}}'
+                ]
+            },
+            more_info: {
+                subject: 'Tu candidatura al puesto de {{job.title}}: algunas preguntas',
+                body: [
+                    'Hola, {{candidate.firstName}}:',
+                    'Gracias por tu candidatura al puesto de {{job.title}} en {{company.name}}. Antes de continuar, nos gustaría saber más sobre tu experiencia en:',
+                    '{{missing.requirements}}',
+                    'Unas líneas sobre cada punto, con un ejemplo de tu trayectoria, nos serían de gran ayuda.',
+                    'Un saludo,\n{{recruiter.name}}'
+                ]
+            }
+        }
+    },
+
+    _load: () => {
+        try {
+            return { templates: {}, company: '', language: 'en', ...JSON.parse(localStorage.getItem(MessageTemplates.STORAGE_KEY)) };
+        } catch (e) {
+            return { templates: {}, company: '', language: 'en' };
+        }
+    },
+    _store: (data) => localStorage.setItem(MessageTemplates.STORAGE_KEY, JSON.stringify(data)),
+
+    getSettings: () => {
+        const { company, language } = MessageTemplates._load();
+        return { company, language };
+    },
+    saveSettings: (settings) => MessageTemplates._store({ ...MessageTemplates._load(), ...settings }),
+
+    // { subject, body, custom } for a kind and language, falling back to English
+    get: (kind, language) => {
+        const stored = MessageTemplates._load().templates[`${kind}:${language}`];
+        if (stored) return { ...stored, custom: true };
+        const builtIn = (MessageTemplates.defaults[language] || MessageTemplates.defaults.en)[kind];
+        if (!builtIn) throw new Error(`Unknown message template "${kind}".`);
+        return { subject: builtIn.subject, body: builtIn.body.join('\n\n'), custom: false };
+    },
+
+    save: (kind, language, { subject, body }) => {
+        if (!String(subject || '').trim() || !String(body || '').trim()) throw new Error('A template needs a subject and a body.');
+        const data = MessageTemplates._load();
+        MessageTemplates._store({ ...data, templates: { ...data.templates, [`${kind}:${language}`]: { subject: subject.trim(), body: body.trim() } } });
+    },
+
+    reset: (kind, language) => {
+        const data = MessageTemplates._load();
+        const { [`${kind}:${language}`]: removed, ...templates } = data.templates;
+        MessageTemplates._store({ ...data, templates });
+    },
+
+    kindForStage: (stage) => Object.keys(MessageTemplates.kinds).find(kind => MessageTemplates.kinds[kind].stage === stage) || 'interview_invite',
+
+    // Placeholder values for one candidate. Dates are written in the template's language and
+    // the interview's time zone.
+    values: ({ name = '', alias = '', jobTitle = '', interview = null, requirements = [], sender = '', language = 'en' }) => {
+        const format = (ms, options) => new Intl.DateTimeFormat(language, { timeZone: interview.tz || undefined, ...options }).format(new Date(ms));
+        const time = (ms) => format(ms, { hour: '2-digit', minute: '2-digit' });
+        return {
+            'candidate.name': name.trim(),
+            'candidate.firstName': name.trim().split(/\s+/)[0] || '',
+            'candidate.alias': alias,
+            'job.title': jobTitle,
+            'company.name': MessageTemplates.getSettings().company,
+            'recruiter.name': sender,
+            'interview.date': interview ? format(interview.startMs, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) : '',
+            'interview.time': interview ? `${time(interview.startMs)}–${time(interview.endMs)}` : '',
+            'interview.timezone': interview?.tz || '',
+            'interview.link': interview?.meetLink || '',
+            'missing.requirements': requirements.filter(row => row.status !== 'met').map(row => `- ${row.requirement}`).join('\n')
+        };
+    },
+
+    // Placeholders that may legitimately be empty: the line holding one is dropped instead
+    optional: ['interview.link'],
+
+    // Fills the placeholders in. Unknown or empty placeholders are left as written and
+    // listed in `missing`, so nothing goes out with a blank where a name should be.
+    // Body lines whose optional placeholder has no value are left out.
+    fill: (template, values) => {
+        const missing = new Set();
+        const placeholder = /\{\{\s*([\w.]+)\s*\}\}/g;
+        const unused = (line) => [...line.matchAll(placeholder)].some(([, key]) => MessageTemplates.optional.includes(key) && !values[key]);
+        const trim = (text) => String(text || '').split('\n').filter(line => !unused(line)).join('\n').replace(/\n{3,}/g, '\n\n');
+        const replace = (text) => String(text || '').replace(placeholder, (match, key) => {
+            if (!values[key] && MessageTemplates.optional.includes(key)) return '';
+            if (!values[key]) {
+                missing.add(key);
+                return match;
+            }
+            return values[key];
+        });
+        return { subject: replace(template.subject), body: replace(trim(template.body)), missing: [...missing] };
+    },
+
+    mailtoUrl: ({ to, subject, body }) =>
+        `mailto:${encodeURIComponent(to)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`,
+
+    // RFC 5322 draft (X-Unsent opens it ready to send in Outlook and Apple Mail); non-ASCII
+    // headers use RFC 2047 encoded words and the body is base64 UTF-8.
+    toEml: ({ to, toName = '', subject, body, date = new Date() }) => {
+        const base64 = (text) => {
+            const bytes = new TextEncoder().encode(text);
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            return btoa(binary);
+        };
+        const ascii = (text) => /^[\x20-\x7e]*$/.test(text);
+        const header = (text) => (ascii(text) ? text : `=?UTF-8?B?${base64(text)}?=`);
+        const name = toName.trim();
+        const recipient = !name ? to : ascii(name) ? `"${name.replace(/["\\]/g, '\\$&')}" <${to}>` : `${header(name)} <${to}>`;
+        return [
+            `To: ${recipient}`,
+            `Subject: ${header(subject)}`,
+            `Date: ${date.toUTCString()}`,
+            'MIME-Version: 1.0',
+            'X-Unsent: 1',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            ...(base64(body.replace(/\r?\n/g, '\r\n')).match(/.{1,76}/g) || []),
+            ''
+        ].join('\r\n');
+    }
+};
+
+// --- Application State ---
+
+const state = {
+    step: 0,
+    furthestStep: 0, // Highest step reached in this requisition (unlocks the sidebar)
+    requisitionId: null,
+    requisitionName: '',
+    notes: '',
+    jobDescription: null,
+    candidates: [], // Stores ANONYMOUS profiles only (with refId)
+    selectedCandidates: new Set(), // Set of RefIDs ticked in the comparison table (for bulk actions)
+    pipeline: {}, // refId -> { stage, reason, history, notes, ratings, feedback, interviews, messages }
+    cvContacts: {}, // content hash -> vault refId of the email sender a pending CV arrived from
+    tableView: CandidateTable.defaults(), // Sort, filters and page of the comparison table
+    viewingCandidate: null // Current candidate being viewed in detail
+};
+
+// --- Saved Requisitions ---
+// Each requisition is one hiring session: JD file, parsed JD, anonymous candidate
+// profiles, selections, notes and CVs still waiting to be processed. Identities stay
+// in the vault; only refIds are persisted here.
+
+const RequisitionStore = {
+    DB_NAME: 'hiring_assistant_sessions',
+    _db: null,
+
+    _open: async () => {
+        if (!RequisitionStore._db) {
+            RequisitionStore._db = await IDB.open(RequisitionStore.DB_NAME, 1, (db) => {
+                db.createObjectStore('requisitions', { keyPath: 'id' });
+            });
+        }
+        return RequisitionStore._db;
+    },
+
+    list: async () => {
+        const all = await IDB.run(await RequisitionStore._open(), 'requisitions', 'readonly', s => s.getAll());
+        return all.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+    get: async (id) => IDB.run(await RequisitionStore._open(), 'requisitions', 'readonly', s => s.get(id)),
+    save: async (record) => IDB.run(await RequisitionStore._open(), 'requisitions', 'readwrite', s => s.put(record)),
+    delete: async (id) => IDB.run(await RequisitionStore._open(), 'requisitions', 'readwrite', s => s.delete(id))
+};
+
+// Builds the persisted record for the open requisition. Revealed identity fields are
+// stripped so nothing from the vault is written in clear.
+function snapshotRequisition(existing = {}) {
+    return {
+        ...existing,
+        id: state.requisitionId,
+        name: state.requisitionName,
+        status: existing.status || 'active',
+        createdAt: existing.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        step: state.step,
+        furthestStep: state.furthestStep,
+        notes: state.notes,
+        jdFile: state._rawJDFile || null,
+        jobDescription: state.jobDescription,
+        candidates: state.candidates.map(cand => {
+            const copy = { ...cand, revealed: false };
+            REVEALED_FIELDS.forEach(field => delete copy[field]);
+            return copy;
+        }),
+        selectedCandidates: Array.from(state.selectedCandidates),
+        pipeline: state.pipeline,
+        pendingCVFiles: state._rawCVFiles || [],
+        cvContacts: state.cvContacts
+    };
+}
+
+function loadRequisition(record) {
+    // A batch still running for another requisition must not write into this one
+    if (cvQueue && cvQueue.requisitionId !== record.id) {
+        cvQueue.cancel();
+        cvQueue = null;
+    }
+    Object.assign(state, {
+        step: record.step || 1,
+        furthestStep: record.furthestStep || record.step || 1,
+        requisitionId: record.id,
+        requisitionName: record.name,
+        notes: record.notes || '',
+        jobDescription: record.jobDescription || null,
+        candidates: record.candidates || [],
+        selectedCandidates: new Set(record.selectedCandidates || []),
+        // Requisitions saved before the pipeline existed: the ticked candidates were the shortlist
+        pipeline: record.pipeline || Object.fromEntries((record.selectedCandidates || []).map(refId =>
+            [refId, { stage: 'shortlisted', reason: '', history: [], notes: [], ratings: {} }])),
+        viewingCandidate: null,
+        tableView: CandidateTable.defaults(),
+        _rawJDFile: record.jdFile || null,
+        _rawCVFiles: record.pendingCVFiles || [],
+        cvContacts: record.cvContacts || {}
+    });
+}
+
+// Saves the open requisition; failures are logged rather than interrupting the flow.
+async function persistRequisition() {
+    if (!state.requisitionId) return;
+    try {
+        const existing = await RequisitionStore.get(state.requisitionId);
+        await RequisitionStore.save(snapshotRequisition(existing || {}));
+    } catch (e) {
+        log(`Could not save requisition: ${e.message}`);
+    }
+}
+
+// --- Mock Data Factories ---
+
+const generateMockAnalysis = () => ({
+    skills: ['Project Management', 'Agile', 'Python', 'Data Analysis', 'Communication', 'Leadership'],
+    experience: '5+ years',
+    qualifications: 'Bachelor in CS or related field'
+});
+
+const generateSafeCandidates = async (count) => {
+    const anonymousList = [];
+
+    for (let i = 0; i < count; i++) {
+        // 1. Generate FULL (Sensitive) Data
+        const realPIData = {
+            realName: `Alex ${['Smith', 'Johnson', 'Williams', 'Brown'][i % 4]}`,
+            email: `alex.${i}@example.com`,
+            phone: `+1 (555) 010-${1000 + i}`,
+            photoUrl: `https://i.pravatar.cc/150?u=${i}`,
+            originalFile: `cv_alex_${i}.pdf`
+        };
+
+        // 2. Store in Vault & Get Token
+        const refId = await vault.store(realPIData);
+
+        // 3. Create Sanitized Profile
+        const score = Math.floor(Math.random() * (98 - 60) + 60);
+        anonymousList.push({
+            refId: refId, // The Key
+            alias: `Candidate ${Math.random().toString(36).substr(2, 5).toUpperCase()}`, // Pure Alias
+            score: score,
+            skills: ['Python', 'SQL', 'Teamwork', 'React', 'Node.js'].sort(() => 0.5 - Math.random()).slice(0, 3),
+            details: 'Experienced professional with a strong background in tech.',
+            revealed: false // UI State
+        });
+    }
+
+    return anonymousList.sort((a, b) => b.score - a.score);
+};
+
+// DOM Elements
+const contentArea = document.getElementById('content-area');
+const stepsNav = document.querySelectorAll('.step-btn');
+// Debug Logger
+const debugLog = document.createElement('div');
+debugLog.style.cssText = 'position:fixed; bottom:10px; right:10px; background:rgba(0,0,0,0.8); color:#0f0; padding:10px; border-radius:8px; font-family:monospace; z-index:9999; max-width:300px; font-size:12px; pointer-events:none;';
+document.body.appendChild(debugLog);
+
+function log(msg) {
+    console.log(msg);
+    const line = document.createElement('div');
+    line.textContent = `> ${msg}`;
+    debugLog.appendChild(line);
+    if (debugLog.children.length > 5) debugLog.removeChild(debugLog.children[0]);
+}
+
+// CV-derived text (evidence quotes, extracted sections) is untrusted and must be escaped
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;'
+    }[c]));
+}
+
+log('App script loaded.');
+
+// --- LLM Providers ---
+// Every provider exposes the same `complete(request, config)` contract and resolves
+// to the raw text reply. `request` carries the prompt plus the task name and the
+// original input so the offline mock can answer without a network.
+
+const LLMProviders = {
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: 'gemini-2.5-flash',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        requiresKey: true,
+        complete: async ({ prompt, signal }, config) => {
+            const response = await fetch(`${config.baseUrl}/models/${config.model}:generateContent`, {
+                method: "POST",
+                signal,
+                headers: {
+                    "Content-Type": "application/json",
+                    "x-goog-api-key": config.apiKey
+                },
+                body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] })
+            });
+            if (!response.ok) throw await providerHttpError(response, 'Gemini API call failed.');
+            const data = await response.json();
+            return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        }
+    },
+
+    openai: {
+        label: 'OpenAI-compatible (chat completions)',
+        defaultModel: 'gpt-4o-mini',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        requiresKey: true,
+        complete: async ({ prompt, signal }, config) => {
+            const response = await fetch(`${config.baseUrl}/chat/completions`, {
+                method: "POST",
+                signal,
+                headers: {
+                    "Content-Type": "application/json",
+                    "Authorization": `Bearer ${config.apiKey}`
+                },
+                body: JSON.stringify({
+                    model: config.model,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature: 0
+                })
+            });
+            if (!response.ok) throw await providerHttpError(response, 'Chat completions call failed.');
+            const data = await response.json();
+            return data.choices?.[0]?.message?.content || '';
+        }
+    },
+
+    local: {
+        label: 'Local HTTP endpoint (Ollama-style)',
+        defaultModel: 'llama3.1',
+        defaultBaseUrl: 'http://localhost:11434',
+        requiresKey: false,
+        complete: async ({ prompt, signal }, config) => {
+            const headers = { "Content-Type": "application/json" };
+            if (config.apiKey) headers["Authorization"] = `Bearer ${config.apiKey}`;
+            const response = await fetch(`${config.baseUrl}/api/generate`, {
+                method: "POST",
+                signal,
+                headers,
+                body: JSON.stringify({ model: config.model, prompt, stream: false, format: 'json' })
+            });
+            if (!response.ok) throw await providerHttpError(response, 'Local model call failed.');
+            const data = await response.json();
+            return data.response || '';
+        }
+    },
+
+    mock: {
+        label: 'Offline mock (deterministic)',
+        defaultModel: 'mock-v1',
+        defaultBaseUrl: '',
+        requiresKey: false,
+        complete: async ({ task, input }) => JSON.stringify(MockLLM.respond(task, input))
+    }
+};
+
+// Normalises a failed HTTP response into an Error carrying the status code and,
+// when the server sends one, the Retry-After delay.
+async function providerHttpError(response, fallback) {
+    let message = fallback;
+    try {
+        const body = await response.json();
+        message = body.error?.message || body.error || message;
+    } catch (e) { }
+    const err = new Error(typeof message === 'string' ? message : fallback);
+    err.status = response.status;
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter) {
+        err.retryAfterMs = isNaN(retryAfter) ? Math.max(0, Date.parse(retryAfter) - Date.now()) : Number(retryAfter) * 1000;
+    }
+    return err;
+}
+
+// Resolves after ms, or rejects with an AbortError as soon as the signal fires.
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+// Spaces model calls so that no more than requestsPerMinute start in any minute.
+const AIRateLimiter = {
+    _nextSlot: 0,
+    acquire: async (requestsPerMinute, signal) => {
+        if (!requestsPerMinute) return;
+        const now = Date.now();
+        const slot = Math.max(now, AIRateLimiter._nextSlot);
+        AIRateLimiter._nextSlot = slot + 60000 / requestsPerMinute;
+        if (slot > now) await wait(slot - now, signal);
+    }
+};
+
+// Canned, input-derived answers so the whole six-step flow runs air-gapped.
+// The same input always yields the same output.
+const MockLLM = {
+    vocabulary: [
+        'JavaScript', 'TypeScript', 'Python', 'Java', 'Go', 'SQL', 'PostgreSQL', 'React', 'Node.js',
+        'Docker', 'Kubernetes', 'AWS', 'Azure', 'GCP', 'Agile', 'Scrum', 'Project Management',
+        'Data Analysis', 'Machine Learning', 'Communication', 'Leadership', 'Git', 'CI/CD', 'REST', 'Excel'
+    ],
+
+    findSkills: (text) => {
+        const lower = (text || '').toLowerCase();
+        return MockLLM.vocabulary.filter(skill => {
+            const escaped = skill.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(lower);
+        });
+    },
+
+    firstLine: (text) => (text || '').split('\n').map(l => l.trim()).find(Boolean) || '',
+
+    bullets: (text) => (text || '').split('\n')
+        .map(l => l.trim())
+        .filter(l => /^[-*•·]\s+/.test(l))
+        .map(l => l.replace(/^[-*•·]\s+/, ''))
+        .slice(0, 8),
+
+    respond: (task, input) => {
+        if (task === 'jd') {
+            const skills = MockLLM.findSkills(input);
+            return {
+                title: MockLLM.firstLine(input).slice(0, 80) || 'Software Engineer',
+                skills: skills.length ? skills : ['Communication', 'Project Management', 'Agile'],
+                requirements: MockLLM.bullets(input),
+                responsibilities: [],
+                experience: '3+ years of relevant experience',
+                qualifications: "Bachelor's degree or equivalent experience"
+            };
+        }
+        if (task === 'cv') {
+            const email = (input || '').match(/[\w.+-]+@[\w-]+\.[\w.-]+/);
+            const phone = (input || '').match(/\+?\d[\d\s().-]{7,}\d/);
+            const skills = MockLLM.findSkills(input);
+            return {
+                realName: MockLLM.firstLine(input).slice(0, 60) || 'Unknown',
+                email: email ? email[0] : '',
+                phone: phone ? phone[0].trim() : '',
+                skills: skills.length ? skills : ['Communication'],
+                summary: `Professional with experience in ${(skills.length ? skills : ['general business']).slice(0, 3).join(', ')}.`,
+                yearsExperience: SkillMatcher.parseYears(input),
+                qualifications: (input || '').split('\n').map(l => l.trim())
+                    .filter(l => SkillMatcher.degreeLevel(l) > 0).slice(0, 3),
+                ...WorkHistory.extract(input)
+            };
+        }
+        if (task === 'kit') return InterviewKit.build(input.jd, input.cand);
+        if (task === 'fit') {
+            const jdSkills = (input.jd?.skills || []).map(s => s.toLowerCase());
+            const cvSkills = (input.cv?.skills || []).map(s => s.toLowerCase());
+            const matched = jdSkills.filter(s => cvSkills.includes(s));
+            const score = jdSkills.length ? Math.round((matched.length / jdSkills.length) * 100) : 50;
+            return {
+                score,
+                justification: `Matches ${matched.length} of ${jdSkills.length} required skills.`,
+                requirements: EvidenceMatcher.evaluateAll(input.jd?.requirements, input.cv?.text)
+            };
+        }
+        return {};
+    }
+};
+
+// --- Response Schemas ---
+// Each model call declares the shape it expects. `SchemaValidator.validate` coerces
+// obvious slips (numeric strings, comma-joined lists) and reports what is still wrong.
+
+const AISchemas = {
+    jd: {
+        label: 'job description analysis',
+        fields: {
+            title: { type: 'string', required: true, nonEmpty: true },
+            skills: { type: 'array', required: true, nonEmpty: true },
+            requirements: { type: 'array', required: true },
+            responsibilities: { type: 'array' },
+            experience: { type: 'string' },
+            qualifications: { type: 'string' }
+        }
+    },
+    cv: {
+        label: 'CV analysis',
+        fields: {
+            realName: { type: 'string', required: true },
+            email: { type: 'string', required: true },
+            phone: { type: 'string' },
+            skills: { type: 'array', required: true },
+            summary: { type: 'string', required: true, nonEmpty: true },
+            yearsExperience: { type: 'integer', min: 0, max: 60 },
+            qualifications: { type: 'array' },
+            employment: {
+                type: 'array',
+                items: {
+                    role: { type: 'string' },
+                    employer: { type: 'string' },
+                    start: { type: 'string' },
+                    end: { type: 'string' },
+                    technologies: { type: 'array' }
+                }
+            },
+            education: {
+                type: 'array',
+                items: {
+                    qualification: { type: 'string' },
+                    institution: { type: 'string' },
+                    year: { type: 'string' }
+                }
+            },
+            certifications: { type: 'array' },
+            languages: { type: 'array' }
+        }
+    },
+    kit: {
+        label: 'interview kit',
+        fields: {
+            questions: {
+                type: 'array',
+                required: true,
+                nonEmpty: true,
+                items: {
+                    topic: { type: 'string', required: true, nonEmpty: true },
+                    kind: {
+                        type: 'string',
+                        required: true,
+                        enum: ['gap', 'verification', 'general'],
+                        aliases: { gaps: 'gap', verify: 'verification', skill: 'verification', skills: 'verification', behavioural: 'general', behavioral: 'general' }
+                    },
+                    question: { type: 'string', required: true, nonEmpty: true },
+                    lookFor: { type: 'string' }
+                }
+            },
+            scorecard: {
+                type: 'array',
+                required: true,
+                nonEmpty: true,
+                items: {
+                    criterion: { type: 'string', required: true, nonEmpty: true },
+                    poor: { type: 'string', required: true },
+                    meets: { type: 'string', required: true },
+                    strong: { type: 'string', required: true }
+                }
+            }
+        }
+    },
+    fit: {
+        label: 'fit comparison',
+        fields: {
+            score: { type: 'integer', required: true, min: 0, max: 100 },
+            justification: { type: 'string', required: true, nonEmpty: true },
+            requirements: {
+                type: 'array',
+                items: {
+                    requirement: { type: 'string', required: true, nonEmpty: true },
+                    status: {
+                        type: 'string',
+                        required: true,
+                        enum: ['met', 'partial', 'not_met'],
+                        aliases: { partially_met: 'partial', fully_met: 'met', yes: 'met', no: 'not_met', unmet: 'not_met', missing: 'not_met' }
+                    },
+                    evidence: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const SchemaValidator = {
+    // Pulls the first JSON object out of a reply that may include prose or code fences.
+    extractJSON: (text) => {
+        const cleaned = String(text || '').replace(/```json|```/g, '').trim();
+        const start = cleaned.indexOf('{');
+        const end = cleaned.lastIndexOf('}');
+        if (start === -1 || end <= start) throw new Error('reply does not contain a JSON object');
+        return JSON.parse(cleaned.slice(start, end + 1));
+    },
+
+    coerce: (spec, value) => {
+        // An explicit null means "not present in the document", which is fine for optional text
+        if (value === null && spec.type === 'string' && !spec.nonEmpty) return '';
+        if (value === null || value === undefined) {
+            return spec.required ? value : (spec.type === 'array' ? [] : (spec.type === 'string' ? '' : value));
+        }
+        if (spec.type === 'string') {
+            if (Array.isArray(value)) return value.join(', ');
+            if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+            if (typeof value === 'string' && spec.enum) {
+                // "Partially met" -> "partially_met" -> alias lookup
+                const normalized = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+                return spec.aliases?.[normalized] || normalized;
+            }
+            return typeof value === 'string' ? value.trim() : value;
+        }
+        if (spec.type === 'array' && spec.items) {
+            // Arrays of objects are validated item by item in validate()
+            return value;
+        }
+        if (spec.type === 'array') {
+            if (typeof value === 'string') value = value.split(/[,;\n]/);
+            if (!Array.isArray(value)) return value;
+            return value
+                .map(item => (typeof item === 'string' ? item : (item && typeof item === 'object' ? Object.values(item).join(' ') : String(item))).trim())
+                .filter(Boolean);
+        }
+        if (spec.type === 'integer') {
+            if (typeof value === 'string') {
+                const match = value.match(/-?\d+(\.\d+)?/);
+                value = match ? Number(match[0]) : value;
+            }
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                // Scores on a 0-1 scale are a common slip
+                if (spec.max === 100 && value > 0 && value < 1) value *= 100;
+                return Math.round(value);
+            }
+        }
+        return value;
+    },
+
+    // Returns { value, errors }: value has coerced fields, errors lists what could not be fixed.
+    // `path` prefixes error messages for nested objects, e.g. requirements[2].status.
+    validate: (schema, raw, path = '') => {
+        const errors = [];
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { value: null, errors: [path ? `"${path}" must be an object` : 'expected a JSON object at the top level'] };
+        }
+        const value = { ...raw };
+        for (const [field, spec] of Object.entries(schema.fields)) {
+            const name = path ? `${path}.${field}` : field;
+            let v = SchemaValidator.coerce(spec, raw[field]);
+            if (v === null || v === undefined) {
+                value[field] = v;
+                if (spec.required) errors.push(`"${name}" is missing`);
+                continue;
+            }
+            if (spec.type === 'array' && spec.items && Array.isArray(v)) {
+                v = v.map((item, i) => {
+                    const nested = SchemaValidator.validate({ fields: spec.items }, item, `${name}[${i}]`);
+                    errors.push(...nested.errors);
+                    return nested.value;
+                });
+            }
+            value[field] = v;
+
+            if (spec.type === 'string' && typeof v !== 'string') errors.push(`"${name}" must be a string`);
+            else if (spec.type === 'array' && !Array.isArray(v)) errors.push(`"${name}" must be an array${spec.items ? ' of objects' : ' of strings'}`);
+            else if (spec.type === 'integer' && !Number.isInteger(v)) errors.push(`"${name}" must be an integer`);
+            else if (spec.nonEmpty && v.length === 0) errors.push(`"${name}" must not be empty`);
+            else if (spec.enum && !spec.enum.includes(v)) errors.push(`"${name}" must be one of ${spec.enum.join(', ')}`);
+            else if (spec.min !== undefined && v < spec.min) errors.push(`"${name}" must be at least ${spec.min}`);
+            else if (spec.max !== undefined && v > spec.max) errors.push(`"${name}" must be at most ${spec.max}`);
+        }
+        return { value, errors };
+    }
+};
+
+// --- Document Formats ---
+// Text extraction for formats without a library: legacy Word (.doc), RTF, ODT and HTML.
+
+// OLE2 compound files, the container legacy .doc files are stored in
+const CompoundFile = {
+    END_OF_CHAIN: 0xFFFFFFFA, // Anything at or above this marks the end of a sector chain
+
+    // Returns { streamName: Uint8Array } or null when the bytes are not a compound file
+    read: (buffer) => {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        if (bytes.length < 512 || view.getUint32(0, true) !== 0xE011CFD0 || view.getUint32(4, true) !== 0xE11AB1A1) return null;
+
+        const sectorSize = 1 << view.getUint16(0x1E, true);
+        const miniSectorSize = 1 << view.getUint16(0x20, true);
+        const miniCutoff = view.getUint32(0x38, true);
+        const sector = (id) => bytes.subarray((id + 1) * sectorSize, (id + 2) * sectorSize);
+        const words = (chunk) => {
+            const dv = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+            return Array.from({ length: chunk.byteLength >> 2 }, (_, i) => dv.getUint32(i * 4, true));
+        };
+        const concat = (chunks) => {
+            const out = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+            chunks.reduce((pos, c) => { out.set(c, pos); return pos + c.length; }, 0);
+            return out;
+        };
+        const chain = (start, table) => {
+            const ids = [];
+            for (let id = start; id < CompoundFile.END_OF_CHAIN && ids.length <= table.length; id = table[id]) ids.push(id);
+            return ids;
+        };
+
+        // FAT sector ids: 109 in the header, the rest in a chain of DIFAT sectors
+        const fatSectors = Array.from({ length: 109 }, (_, i) => view.getUint32(0x4C + i * 4, true));
+        let difat = view.getUint32(0x44, true);
+        for (let n = view.getUint32(0x48, true); n > 0 && difat < CompoundFile.END_OF_CHAIN; n--) {
+            const ids = words(sector(difat));
+            fatSectors.push(...ids.slice(0, -1));
+            difat = ids[ids.length - 1];
+        }
+        const fat = fatSectors.filter(id => id < CompoundFile.END_OF_CHAIN).flatMap(id => words(sector(id)));
+        const readChain = (start) => concat(chain(start, fat).map(sector));
+
+        const dir = readChain(view.getUint32(0x30, true));
+        const dirView = new DataView(dir.buffer, dir.byteOffset, dir.byteLength);
+        const entries = [];
+        for (let off = 0; off + 128 <= dir.length; off += 128) {
+            const type = dir[off + 0x42]; // 1 storage, 2 stream, 5 root
+            if (!type) continue;
+            const nameLength = Math.max(0, dirView.getUint16(off + 0x40, true) - 2);
+            entries.push({
+                name: new TextDecoder('utf-16le').decode(dir.subarray(off, off + nameLength)),
+                type,
+                start: dirView.getUint32(off + 0x74, true),
+                size: dirView.getUint32(off + 0x78, true)
+            });
+        }
+
+        // Small streams live in the mini stream (owned by the root entry) and use the mini FAT
+        const root = entries.find(e => e.type === 5);
+        const miniStream = root ? readChain(root.start) : new Uint8Array(0);
+        const miniFatStart = view.getUint32(0x3C, true);
+        const miniFat = miniFatStart < CompoundFile.END_OF_CHAIN ? words(readChain(miniFatStart)) : [];
+
+        const streams = {};
+        for (const entry of entries.filter(e => e.type === 2)) {
+            const data = entry.size < miniCutoff
+                ? concat(chain(entry.start, miniFat).map(id => miniStream.subarray(id * miniSectorSize, (id + 1) * miniSectorSize)))
+                : readChain(entry.start);
+            streams[entry.name] = data.subarray(0, entry.size);
+        }
+        return streams;
+    }
+};
+
+const DocumentFormats = {
+    // Word 97-2003: the text is assembled from the piece table (Clx) in the table stream
+    wordText: (streams) => {
+        const word = streams.WordDocument;
+        if (!word) throw new Error('Not a Word document');
+        const fib = new DataView(word.buffer, word.byteOffset, word.byteLength);
+        if (fib.getUint16(0, true) !== 0xA5EC) throw new Error('Unsupported Word version (Word 97 or later is required)');
+        const flags = fib.getUint16(0x0A, true);
+        if (flags & 0x0100) throw new Error('Password-protected Word documents are not supported');
+
+        const table = streams[flags & 0x0200 ? '1Table' : '0Table'];
+        if (!table) throw new Error('Word document is missing its table stream');
+        const ccpText = fib.getUint32(0x4C, true);
+        const fcClx = fib.getUint32(0x01A2, true);
+        const tv = new DataView(table.buffer, table.byteOffset, table.byteLength);
+
+        let pos = fcClx;
+        while (table[pos] === 0x01) pos += 3 + tv.getUint16(pos + 1, true); // Skip property modifiers (Prc)
+        if (table[pos] !== 0x02) throw new Error('Word document has no piece table');
+        const pieceCount = (tv.getUint32(pos + 1, true) - 4) / 12;
+        const cps = pos + 5;
+        const pcds = cps + (pieceCount + 1) * 4;
+
+        const cp1252 = new TextDecoder('windows-1252');
+        const utf16 = new TextDecoder('utf-16le');
+        let text = '';
+        for (let i = 0; i < pieceCount && text.length < ccpText; i++) {
+            const length = tv.getUint32(cps + (i + 1) * 4, true) - tv.getUint32(cps + i * 4, true);
+            const fc = tv.getUint32(pcds + i * 8 + 2, true);
+            if (fc & 0x40000000) {
+                const start = (fc & 0x3FFFFFFF) / 2;
+                text += cp1252.decode(word.subarray(start, start + length));
+            } else {
+                text += utf16.decode(word.subarray(fc, fc + length * 2));
+            }
+        }
+        return DocumentFormats.cleanWordText(text.slice(0, ccpText));
+    },
+
+    // Drops field codes (keeping their results) and maps Word's control characters
+    cleanWordText: (text) => {
+        let previous;
+        do {
+            previous = text;
+            text = text.replace(/\x13[^\x13\x14\x15]*\x14([^\x13\x15]*)\x15/g, '$1').replace(/\x13[^\x13\x14\x15]*\x15/g, '');
+        } while (text !== previous);
+        return text
+            .replace(/\r|\x0B|\x0C/g, '\n')
+            .replace(/\x07/g, '\t')
+            .replace(/\x1E/g, '-')
+            .replace(/[\x00-\x08\x0E-\x1F]/g, '');
+    },
+
+    rtfDestinationsToSkip: new Set(['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+        'footer', 'footerl', 'footerr', 'footerf', 'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'listtable',
+        'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'fldinst', 'filetbl', 'revtbl', 'nonshppict', 'shpinst']),
+    rtfSymbols: {
+        par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t', emdash: '—', endash: '–',
+        bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' '
+    },
+
+    rtfText: (rtf) => {
+        const cp1252 = new TextDecoder('windows-1252');
+        const token = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+        const stack = [];
+        let group = { skip: false, uc: 1 };
+        let pendingSkip = 0; // Fallback characters still to drop after a \uN escape
+        let out = '';
+        let m;
+
+        while ((m = token.exec(rtf))) {
+            const [, word, param, hex, symbol, brace, text] = m;
+            if (brace === '{') { stack.push(group); group = { ...group }; pendingSkip = 0; continue; }
+            if (brace === '}') { group = stack.pop() || group; pendingSkip = 0; continue; }
+            if (symbol === '*') { group.skip = true; continue; }
+            if (word && DocumentFormats.rtfDestinationsToSkip.has(word.toLowerCase())) { group.skip = true; continue; }
+            if (group.skip) continue;
+
+            if (word === 'uc') group.uc = Number(param) || 0;
+            else if (word === 'u') {
+                const code = Number(param);
+                out += String.fromCharCode(code < 0 ? code + 65536 : code);
+                pendingSkip = group.uc;
+            } else if (word) {
+                if (DocumentFormats.rtfSymbols[word] !== undefined) out += DocumentFormats.rtfSymbols[word];
+            } else if (hex) {
+                if (pendingSkip > 0) pendingSkip--;
+                else out += cp1252.decode(Uint8Array.of(parseInt(hex, 16)));
+            } else if (symbol) {
+                if (symbol === '\n' || symbol === '\r') out += '\n';
+                else if (symbol === '~') out += ' ';
+                else if (symbol === '_') out += '-';
+                else if ('\\{}'.includes(symbol)) out += symbol;
+            } else if (text) {
+                const dropped = Math.min(pendingSkip, text.length);
+                pendingSkip -= dropped;
+                out += text.slice(dropped);
+            }
+        }
+        return out;
+    },
+
+    htmlText: (html) => {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, noscript, template').forEach(el => el.remove());
+        doc.querySelectorAll('br').forEach(el => el.replaceWith('\n'));
+        doc.querySelectorAll('p, div, li, tr, h1, h2, h3, h4, h5, h6, section, article, header, footer, table, ul, ol, dt, dd')
+            .forEach(el => el.append('\n'));
+        doc.querySelectorAll('td, th').forEach(el => el.append(' '));
+        return (doc.body ? doc.body.textContent : '')
+            .split('\n')
+            .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    },
+
+    // OpenDocument text: paragraphs and headings from content.xml
+    odtText: async (file) => {
+        const entry = (await ZipReader.entries(file)).find(e => e.name === 'content.xml');
+        if (!entry) throw new Error('Not an OpenDocument text file');
+        const xml = new TextDecoder().decode(await entry.read());
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        const TEXT_NS = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0';
+
+        const walk = (node) => {
+            if (node.nodeType === 3) return node.nodeValue;
+            if (node.nodeType !== 1) return '';
+            if (node.namespaceURI === TEXT_NS) {
+                if (node.localName === 's') return ' '.repeat(Number(node.getAttributeNS(TEXT_NS, 'c')) || 1);
+                if (node.localName === 'tab') return '\t';
+                if (node.localName === 'line-break') return '\n';
+            }
+            const text = [...node.childNodes].map(walk).join('');
+            const isBlock = node.namespaceURI === TEXT_NS && (node.localName === 'p' || node.localName === 'h');
+            return isBlock ? `${text}\n` : text;
+        };
+        const body = doc.getElementsByTagNameNS('urn:oasis:names:tc:opendocument:xmlns:office:1.0', 'body')[0];
+        return walk(body || doc.documentElement);
+    }
+};
+
+// --- OCR ---
+// Scanned PDFs are read with Tesseract.js, bundled under vendor/tesseract/ (engine,
+// worker, wasm core and language data) and loaded on first use; nothing is fetched
+// from the network and page images never leave the browser.
+const OCR = {
+    basePath: 'vendor/tesseract/',
+    LANGUAGES_KEY: 'ocr_languages',
+    minPageChars: 20, // Pages with less text than this are treated as scanned images
+    renderScale: 2,
+    _loading: null,
+    _worker: null,
+
+    load: () => {
+        if (window.Tesseract) return Promise.resolve();
+        if (!OCR._loading) {
+            OCR._loading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${OCR.basePath}tesseract.min.js`;
+                script.onload = resolve;
+                script.onerror = () => {
+                    OCR._loading = null;
+                    reject(new Error(`the OCR engine is not installed (expected ${OCR.basePath}tesseract.min.js)`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return OCR._loading;
+    },
+
+    // Tesseract language codes (eng, fra, deu, rus, chi_sim...). Each needs
+    // <code>.traineddata.gz in vendor/tesseract/lang/; vendor/tesseract/fetch-languages.sh adds them.
+    getLanguages: () => {
+        const codes = (localStorage.getItem(OCR.LANGUAGES_KEY) || '').split('+').filter(Boolean);
+        return codes.length ? codes : ['eng'];
+    },
+
+    // Accepts "eng+fra", "eng, fra" or a list; the next scan starts a worker with them
+    setLanguages: async (value) => {
+        const codes = [...new Set((Array.isArray(value) ? value : String(value || '').split(/[\s,+]+/)).map(c => c.trim()).filter(Boolean))];
+        const invalid = codes.filter(c => !/^[A-Za-z_]+$/.test(c));
+        if (invalid.length) throw new Error(`Not a Tesseract language code: ${invalid.join(', ')}`);
+        localStorage.setItem(OCR.LANGUAGES_KEY, (codes.length ? codes : ['eng']).join('+'));
+        const running = OCR._worker;
+        OCR._worker = null;
+        if (running) (await running.catch(() => null))?.terminate();
+    },
+
+    worker: async () => {
+        await OCR.load();
+        if (!OCR._worker) {
+            OCR._worker = Tesseract.createWorker(OCR.getLanguages(), 1, {
+                workerPath: `${OCR.basePath}worker.min.js`,
+                corePath: `${OCR.basePath}core`,
+                langPath: `${OCR.basePath}lang`,
+                workerBlobURL: false
+            }).catch(e => {
+                OCR._worker = null;
+                throw e;
+            });
+        }
+        return OCR._worker;
+    },
+
+    // Renders a pdf.js page to a canvas at `renderScale` and runs the recogniser on it
+    _recognize: async (page, output) => {
+        const viewport = page.getViewport({ scale: OCR.renderScale });
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        try {
+            const { data } = await (await OCR.worker()).recognize(canvas, {}, output);
+            return data;
+        } finally {
+            canvas.width = canvas.height = 0; // Release the bitmap
+        }
+    },
+
+    recognizePage: async (page) => (await OCR._recognize(page, { text: true })).text,
+
+    // Word boxes line by line, plus the regions layout analysis took for pictures, in
+    // pixels of the page rendered at `renderScale`
+    recognizeLayout: async (page) => {
+        const data = await OCR._recognize(page, { text: true, blocks: true });
+        const blocks = data.blocks || [];
+        const lines = data.lines?.length ? data.lines : blocks.flatMap(b => (b.paragraphs || []).flatMap(p => p.lines || []));
+        return {
+            lines: lines.map(line => (line.words || []).map(({ text, bbox }) => ({ text, bbox }))),
+            images: blocks.filter(b => /IMAGE/.test(b.blocktype || '')).map(b => b.bbox)
+        };
+    }
+};
+
+// --- CV Viewer ---
+// Renders the original CV kept in the vault: PDFs page by page with pdf.js, DOCX as HTML
+// through mammoth, anything else as its extracted text. While the candidate is anonymous
+// every detected personal detail is painted over (and photos in PDFs are covered), so
+// the masked values never reach the DOM as text.
+const CVViewer = {
+    scale: 1.4,
+    // Images larger than this share of the page are backgrounds or scanned sections, not photos
+    maxPhotoShare: 0.5,
+
+    // Every original the redactor replaced, plus each part of the name on its own
+    terms: (record) => {
+        const name = record.pii?.name || record.realName || '';
+        const values = [
+            ...Object.values(record.tokens || {}),
+            ...Object.values(record.organisations || {}),
+            ...name.split(/\s+/).filter(part => part.replace(/\W/g, '').length >= 3)
+        ];
+        return [...new Set(values.map(v => String(v || '').trim()).filter(v => v.length >= 2))]
+            .sort((a, b) => b.length - a.length);
+    },
+
+    pattern: (terms) => (terms.length
+        ? new RegExp(`(?<![\\wÀ-ÿ])(?:${terms.map(PIIRedactor.escapeRegExp).join('|')})(?![\\wÀ-ÿ])`, 'gi')
+        : null),
+
+    // Merged [start, end) ranges of personal details in a string: the known values plus
+    // anything else shaped like an email address or a link
+    ranges: (text, pattern) => {
+        const found = [];
+        [pattern, PIIRedactor.patterns.email, PIIRedactor.patterns.url].filter(Boolean).forEach(regex => {
+            for (const m of String(text || '').matchAll(new RegExp(regex.source, regex.flags))) found.push([m.index, m.index + m[0].length]);
+        });
+        return found.sort((a, b) => a[0] - b[0]).reduce((merged, [start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+            else merged.push([start, end]);
+            return merged;
+        }, []);
+    },
+
+    // Replaces personal details in the element's text with solid blocks
+    maskNode: (root, pattern) => {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        nodes.forEach(node => {
+            const ranges = CVViewer.ranges(node.nodeValue, pattern);
+            if (!ranges.length) return;
+            const fragment = document.createDocumentFragment();
+            let at = 0;
+            ranges.forEach(([start, end]) => {
+                fragment.appendChild(document.createTextNode(node.nodeValue.slice(at, start)));
+                const box = document.createElement('span');
+                box.className = 'pii-mask';
+                box.textContent = '█'.repeat(end - start);
+                fragment.appendChild(box);
+                at = end;
+            });
+            fragment.appendChild(document.createTextNode(node.nodeValue.slice(at)));
+            node.replaceWith(fragment);
+        });
+    },
+
+    // Canvas rectangles over text items containing personal details
+    textBoxes: (items, viewport, pattern) => items.flatMap(item => {
+            const ranges = CVViewer.ranges(item.str, pattern);
+            if (!ranges.length) return [];
+            const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+            const height = Math.hypot(tx[2], tx[3]);
+            const perChar = item.width * viewport.scale / Math.max(1, item.str.length);
+            return ranges.map(([start, end]) => [tx[4] + start * perChar - 1, tx[5] - height, (end - start) * perChar + 2, height * 1.3]);
+        }),
+
+    // Canvas rectangles for a scanned page, which has no text layer: the page is read with
+    // OCR and every word overlapping a personal detail is covered, as are picture regions
+    scanBoxes: async (page, pattern) => {
+        const { lines, images } = await OCR.recognizeLayout(page);
+        const k = CVViewer.scale / OCR.renderScale;
+        const rect = ({ x0, y0, x1, y1 }) => [x0 * k - 2, y0 * k - 2, (x1 - x0) * k + 4, (y1 - y0) * k + 4];
+        const words = lines.flatMap(line => {
+            let text = '';
+            const spans = line.map(word => {
+                if (text) text += ' ';
+                const start = text.length;
+                text += word.text;
+                return [start, text.length];
+            });
+            const ranges = CVViewer.ranges(text, pattern);
+            return line.filter((_, i) => ranges.some(([start, end]) => spans[i][0] < end && spans[i][1] > start));
+        });
+        return [...words.map(word => rect(word.bbox)), ...images.map(rect)];
+    },
+
+    // Canvas rectangles over embedded images, found by replaying the page's transforms
+    imageBoxes: async (page, viewport) => {
+        const { OPS, Util } = pdfjsLib;
+        const paints = [OPS.paintImageXObject, OPS.paintInlineImageXObject, OPS.paintImageXObjectRepeat, OPS.paintJpegXObject].filter(op => op !== undefined);
+        const { fnArray, argsArray } = await page.getOperatorList();
+        const stack = [];
+        let ctm = [1, 0, 0, 1, 0, 0];
+        const boxes = [];
+        fnArray.forEach((fn, i) => {
+            if (fn === OPS.save || fn === OPS.paintFormXObjectBegin) {
+                stack.push(ctm);
+                if (fn === OPS.paintFormXObjectBegin && argsArray[i][0]) ctm = Util.transform(ctm, argsArray[i][0]);
+            } else if (fn === OPS.restore || fn === OPS.paintFormXObjectEnd) {
+                ctm = stack.pop() || ctm;
+            } else if (fn === OPS.transform) {
+                ctm = Util.transform(ctm, argsArray[i]);
+            } else if (paints.includes(fn)) {
+                // Images are drawn into the unit square of the current transform
+                const m = Util.transform(viewport.transform, ctm);
+                const xs = [m[4], m[4] + m[0], m[4] + m[2], m[4] + m[0] + m[2]];
+                const ys = [m[5], m[5] + m[1], m[5] + m[3], m[5] + m[1] + m[3]];
+                boxes.push([Math.min(...xs), Math.min(...ys), Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)]);
+            }
+        });
+        return boxes;
+    },
+
+    // Resolves with notes about scanned pages for the viewer's status line
+    renderPDF: async (file, container, pattern, masked) => {
+        const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+        const scanned = [];
+        const unreadable = [];
+        const covered = [];
+        for (let n = 1; n <= pdf.numPages; n++) {
+            const page = await pdf.getPage(n);
+            const viewport = page.getViewport({ scale: CVViewer.scale });
+            const canvas = document.createElement('canvas');
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            canvas.className = 'cv-page';
+            const context = canvas.getContext('2d');
+            await page.render({ canvasContext: context, viewport }).promise;
+            if (masked) {
+                const { items } = await page.getTextContent();
+                let boxes;
+                if (items.map(item => item.str).join('').replace(/\s/g, '').length >= OCR.minPageChars) {
+                    const images = await CVViewer.imageBoxes(page, viewport);
+                    const large = images.filter(([, , w, h]) => w * h > viewport.width * viewport.height * CVViewer.maxPhotoShare);
+                    boxes = [...CVViewer.textBoxes(items, viewport, pattern), ...images.filter(box => !large.includes(box))];
+                    // A large image may be a scanned CV under a typed header, which the text layer
+                    // knows nothing about: it is read with OCR, or covered when that fails
+                    if (large.length) {
+                        try {
+                            boxes.push(...await CVViewer.scanBoxes(page, pattern));
+                            scanned.push(n);
+                        } catch (e) {
+                            boxes.push(...large);
+                            covered.push(n);
+                        }
+                    }
+                } else {
+                    // A scan is one page-sized image: without OCR nothing on it can be located,
+                    // so the whole page stays covered
+                    try {
+                        boxes = await CVViewer.scanBoxes(page, pattern);
+                        scanned.push(n);
+                    } catch (e) {
+                        boxes = [[0, 0, canvas.width, canvas.height]];
+                        unreadable.push(n);
+                    }
+                }
+                context.fillStyle = '#000';
+                boxes.forEach(([x, y, w, h]) => context.fillRect(x, y, w, h));
+            }
+            container.appendChild(canvas);
+        }
+        return [
+            scanned.length ? `Scanned page(s) ${scanned.join(', ')} were masked from OCR.` : '',
+            unreadable.length ? `Page(s) ${unreadable.join(', ')} are scans that could not be read, so they are blacked out.` : '',
+            covered.length ? `Large images on page(s) ${covered.join(', ')} could not be read, so they are blacked out.` : ''
+        ].filter(Boolean);
+    },
+
+    renderDocx: async (file, container, pattern, masked) => {
+        const { value } = await mammoth.convertToHtml({ arrayBuffer: await file.arrayBuffer() });
+        const doc = new DOMParser().parseFromString(value, 'text/html');
+        doc.querySelectorAll('script, style, iframe, object, embed, link, meta').forEach(el => el.remove());
+        doc.querySelectorAll('*').forEach(el => [...el.attributes].forEach(attr => {
+            if (/^on/i.test(attr.name) || (attr.name === 'href' && !/^#/.test(attr.value))) el.removeAttribute(attr.name);
+        }));
+        if (masked) {
+            doc.querySelectorAll('img').forEach(img => {
+                const box = doc.createElement('div');
+                box.className = 'pii-mask-photo';
+                img.replaceWith(box);
+            });
+            CVViewer.maskNode(doc.body, pattern);
+        }
+        const page = document.createElement('div');
+        page.className = 'cv-page cv-html';
+        page.append(...doc.body.childNodes);
+        container.appendChild(page);
+    },
+
+    renderText: async (file, container, pattern, masked) => {
+        const page = document.createElement('pre');
+        page.className = 'cv-page cv-text';
+        page.textContent = await AIService.extractText(file);
+        if (masked) CVViewer.maskNode(page, pattern);
+        container.appendChild(page);
+    },
+
+    // `record` is the vault record; its values are only used to find what to mask
+    render: async (file, container, { masked, record }) => {
+        const pattern = masked ? CVViewer.pattern(CVViewer.terms(record || {})) : null;
+        const name = file.name.toLowerCase();
+        if (name.endsWith('.pdf')) return CVViewer.renderPDF(file, container, pattern, masked);
+        if (name.endsWith('.docx')) return CVViewer.renderDocx(file, container, pattern, masked);
+        return CVViewer.renderText(file, container, pattern, masked);
+    }
+};
+
+// --- Bulk CV Import ---
+// Unpacks ZIP exports (nested folders and archives) and the attachments of saved
+// emails (.eml, .mbox) into individual CV files. A message's sender address is kept
+// with its attachments so it can go to the vault, never into the requisition.
+const CVImport = {
+    containerExtensions: ['.zip', '.eml', '.mbox'],
+    maxDepth: 3, // Archives inside archives inside archives
+
+    isContainer: (name) => CVImport.containerExtensions.some(ext => name.toLowerCase().endsWith(ext)),
+
+    // Returns [{ file, source, sender, skipped }] for every candidate file found.
+    // `source` describes where it came from, e.g. "export.zip › 2024/cv.pdf".
+    expand: async (files, depth = 0, parent = '') => {
+        const entries = [];
+        for (const file of files) {
+            const source = parent ? `${parent} › ${file.name}` : file.name;
+            const lower = file.name.toLowerCase();
+            if (!CVImport.isContainer(lower)) {
+                entries.push({ file, source, sender: null });
+                continue;
+            }
+            entries.push(...await CVImport.open(file, depth, source));
+        }
+        return entries;
+    },
+
+    open: async (file, depth, source) => {
+        if (depth >= CVImport.maxDepth) return [{ file, source, skipped: 'Archive nested too deeply' }];
+        const lower = file.name.toLowerCase();
+        try {
+            if (lower.endsWith('.zip')) return await CVImport.unzip(file, depth, source);
+            if (lower.endsWith('.eml')) return await CVImport.fromMessages([await CVImport.binaryText(file)], depth, source);
+            return await CVImport.fromMessages(CVImport.splitMbox(await CVImport.binaryText(file)), depth, source);
+        } catch (e) {
+            return [{ file, source, skipped: e.message }];
+        }
+    },
+
+    unzip: async (archive, depth, source) => {
+        const entries = [];
+        for (const entry of await ZipReader.entries(archive)) {
+            const path = entry.name;
+            const name = path.split('/').pop();
+            if (!name || name.startsWith('.') || path.startsWith('__MACOSX/')) continue; // Finder and hidden files
+            if (entry.encrypted) {
+                entries.push({ file: new File([], name), source: `${source} › ${path}`, skipped: 'Password-protected' });
+                continue;
+            }
+            const file = new File([await entry.read()], name, { lastModified: entry.modified.getTime() || Date.now() });
+            if (CVImport.isContainer(name)) entries.push(...await CVImport.open(file, depth + 1, `${source} › ${path}`));
+            else entries.push({ file, source: `${source} › ${path}`, sender: null });
+        }
+        return entries;
+    },
+
+    // Email is read as a "binary string" (one char per byte) so 8bit parts survive intact
+    binaryText: async (file) => {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        return out;
+    },
+
+    splitMbox: (text) => text
+        .split(/^From .*\r?\n/m)
+        .filter(message => message.trim())
+        .map(message => message.replace(/^>(>*From )/gm, '$1')),
+
+    fromMessages: async (messages, depth, source) => {
+        const entries = [];
+        for (const [i, raw] of messages.entries()) {
+            const message = CVImport.parseMessage(raw);
+            const sender = CVImport.senderAddress(message.headers.from);
+            // Attachments carry the date the email was sent, which is when the candidate applied
+            const sentAt = Date.parse(message.headers.date || '') || Date.now();
+            const label = messages.length > 1 ? `${source} › message ${i + 1}` : source;
+            if (!message.attachments.length) {
+                entries.push({ file: new File([], `(message ${i + 1})`), source: label, skipped: 'No attachments' });
+                continue;
+            }
+            for (const attachment of message.attachments) {
+                const file = new File([attachment.bytes], attachment.filename, { type: attachment.contentType, lastModified: sentAt });
+                const found = CVImport.isContainer(file.name)
+                    ? await CVImport.open(file, depth + 1, `${label} › ${file.name}`)
+                    : [{ file, source: `${label} › ${file.name}`, sender: null }];
+                entries.push(...found.map(entry => ({ ...entry, sender: entry.sender || sender })));
+            }
+        }
+        return entries;
+    },
+
+    // Minimal MIME parser: headers, multipart bodies (recursively), forwarded messages
+    // and named parts, which are treated as attachments.
+    parseMessage: (raw) => {
+        const split = raw.search(/\r?\n\r?\n/);
+        const head = split < 0 ? raw : raw.slice(0, split);
+        const body = split < 0 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+        const headers = {};
+        head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                const name = line.slice(0, colon).trim().toLowerCase();
+                if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+            }
+        });
+
+        const contentType = headers['content-type'] || 'text/plain';
+        const type = contentType.split(';')[0].trim().toLowerCase();
+        const attachments = [];
+
+        if (type.startsWith('multipart/')) {
+            const boundary = CVImport.headerParam(contentType, 'boundary');
+            if (boundary) {
+                const parts = body.split(new RegExp(`^--${PIIRedactor.escapeRegExp(boundary)}(?:--)?[ \\t]*\\r?$`, 'm')).slice(1, -1);
+                parts.forEach(part => attachments.push(...CVImport.parseMessage(part.replace(/^\r?\n/, '')).attachments));
+            }
+        } else if (type === 'message/rfc822') {
+            attachments.push(...CVImport.parseMessage(body).attachments);
+        } else {
+            const filename = CVImport.headerParam(headers['content-disposition'] || '', 'filename') ||
+                CVImport.headerParam(contentType, 'name');
+            if (filename) {
+                attachments.push({
+                    filename: filename.split(/[\\/]/).pop(),
+                    contentType: type,
+                    bytes: CVImport.decodeBody(body, (headers['content-transfer-encoding'] || '').toLowerCase())
+                });
+            }
+        }
+        return { headers, attachments };
+    },
+
+    // Reads name="value", name=value and RFC 2231 name*=charset''value parameters
+    headerParam: (header, name) => {
+        const extended = header.match(new RegExp(`;\\s*${name}\\*(?:0\\*)?=([^']*)'[^']*'([^;]+)`, 'i'));
+        if (extended) {
+            try {
+                return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+            } catch (e) { }
+        }
+        const plain = header.match(new RegExp(`;\\s*${name}=(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+        return plain ? CVImport.decodeWords(plain[1] ?? plain[2]) : '';
+    },
+
+    // RFC 2047 encoded words, e.g. =?UTF-8?B?...?=
+    decodeWords: (value) => value.replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+        try {
+            const bytes = encoding.toLowerCase() === 'b'
+                ? Uint8Array.from(atob(text), c => c.charCodeAt(0))
+                : CVImport.decodeBody(text.replace(/_/g, ' '), 'quoted-printable');
+            return new TextDecoder(charset).decode(bytes);
+        } catch (e) {
+            return match;
+        }
+    }),
+
+    decodeBody: (body, encoding) => {
+        if (encoding === 'base64') return Uint8Array.from(atob(body.replace(/[^A-Za-z0-9+/=]/g, '')), c => c.charCodeAt(0));
+        if (encoding === 'quoted-printable') {
+            body = body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+        }
+        return Uint8Array.from(body, c => c.charCodeAt(0) & 0xFF);
+    },
+
+    senderAddress: (from) => {
+        const match = String(from || '').match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i);
+        return match ? match[0].toLowerCase() : null;
+    },
+
+    hash: async (file) => {
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+};
+
+// --- AI & Extraction Services ---
+
+const AI_SETTINGS_KEY = 'ai_provider_settings';
+
+const AIService = {
+    getSettings: () => {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(AI_SETTINGS_KEY)) || {};
+        } catch (e) { }
+        const provider = LLMProviders[saved.provider] ? saved.provider : 'gemini';
+        // One key per provider, so switching never sends one vendor's key to another. A key saved
+        // before that belongs to the provider selected at the time; the oldest ones to Gemini.
+        const apiKeys = { ...(saved.apiKey ? { [provider]: saved.apiKey } : {}), ...saved.apiKeys };
+        if (!('gemini' in apiKeys) && localStorage.getItem('gemini_api_key')) apiKeys.gemini = localStorage.getItem('gemini_api_key');
+        return {
+            provider,
+            model: saved.model || LLMProviders[provider].defaultModel,
+            baseUrl: (saved.baseUrl || LLMProviders[provider].defaultBaseUrl).replace(/\/+$/, ''),
+            apiKey: apiKeys[provider] || '',
+            apiKeys,
+            concurrency: Math.max(1, Number(saved.concurrency) || 3),
+            // 'model', 'local' or 'blend'; localWeight is the local scorer's share of a blend
+            scoringMode: ['model', 'local', 'blend'].includes(saved.scoringMode) ? saved.scoringMode : 'blend',
+            localWeight: Math.min(1, Math.max(0, Number(saved.localWeight ?? 0.5))),
+            requestsPerMinute: Math.max(0, Number(saved.requestsPerMinute ?? 60) || 0)
+        };
+    },
+    // `apiKey` is only the selected provider's entry of `apiKeys`, so it is not stored
+    saveSettings: ({ apiKey, ...settings }) => localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(settings)),
+
+    getApiKey: () => AIService.getSettings().apiKey,
+    setApiKey: (key) => {
+        const settings = AIService.getSettings();
+        AIService.saveSettings({ ...settings, apiKeys: { ...settings.apiKeys, [settings.provider]: key } });
+    },
+
+    // Retries for rate limits (429), server errors (5xx) and dropped connections.
+    maxRetries: 4,
+    retryBaseDelayMs: 2000,
+
+    isRetryable: (err) => err.status === 429 || err.status >= 500 || err instanceof TypeError,
+
+    // Sends a prompt through the configured provider and returns the raw reply text.
+    // Calls are rate limited and retried with exponential backoff on transient errors.
+    generate: async (task, prompt, input, { signal } = {}) => {
+        const config = AIService.getSettings();
+        const provider = LLMProviders[config.provider];
+        if (provider.requiresKey && !config.apiKey) {
+            throw new Error(`Missing API Key. Please click the settings icon and enter your ${provider.label} API key.`);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            if (config.provider !== 'mock') await AIRateLimiter.acquire(config.requestsPerMinute, signal);
+            try {
+                return await provider.complete({ task, prompt, input, signal }, config);
+            } catch (e) {
+                if (signal?.aborted || attempt >= AIService.maxRetries || !AIService.isRetryable(e)) throw e;
+                const delay = e.retryAfterMs ?? (AIService.retryBaseDelayMs * 2 ** attempt + Math.random() * 500);
+                log(`Model call failed (${e.status || e.message}); retrying in ${Math.round(delay / 1000)}s...`);
+                await wait(delay, signal);
+            }
+        }
+    },
+
+    // Number of corrective re-prompts after the first invalid reply.
+    maxRepairAttempts: 2,
+
+    // Calls the model and returns a reply that satisfies AISchemas[task]. Invalid
+    // replies are sent back with the validation errors until the budget runs out.
+    requestJSON: async (task, prompt, input, options = {}) => {
+        const schema = AISchemas[task];
+        let currentPrompt = prompt;
+        let errors = [];
+
+        for (let attempt = 0; attempt <= AIService.maxRepairAttempts; attempt++) {
+            const reply = await AIService.generate(task, currentPrompt, input, options);
+            try {
+                const result = SchemaValidator.validate(schema, SchemaValidator.extractJSON(reply));
+                errors = result.errors;
+                if (errors.length === 0) return result.value;
+            } catch (e) {
+                errors = [`invalid JSON (${e.message})`];
+            }
+
+            log(`Invalid ${schema.label} reply (attempt ${attempt + 1}): ${errors.join('; ')}`);
+            currentPrompt = `${prompt}
+
+            Your previous reply could not be used because:
+            - ${errors.join('\n            - ')}
+
+            Previous reply:
+            ${String(reply).slice(0, 2000)}
+
+            Return ONLY the corrected JSON object.`;
+        }
+
+        throw new Error(`The model returned an invalid ${schema.label} after ${AIService.maxRepairAttempts + 1} attempts: ${errors.join('; ')}.`);
+    },
+
+    // Extracted text is cached per File, so validation and analysis read each file once
+    textCache: new WeakMap(),
+
+    // onProgress(message) reports long-running steps such as OCR, page by page
+    extractText: async (file, { onProgress } = {}) => {
+        if (AIService.textCache.has(file)) return AIService.textCache.get(file);
+        const ext = file.name.split('.').pop().toLowerCase();
+        let text;
+        if (ext === 'pdf') text = await AIService.extractTextFromPDF(file, { onProgress });
+        else if (ext === 'docx') text = await AIService.extractTextFromDocx(file);
+        else if (ext === 'doc') text = await AIService.extractTextFromDoc(file);
+        else if (ext === 'odt') text = await DocumentFormats.odtText(file);
+        else if (ext === 'rtf') text = DocumentFormats.rtfText(await file.text());
+        else if (ext === 'html' || ext === 'htm') text = DocumentFormats.htmlText(await file.text());
+        else text = await file.text(); // For .txt files
+        AIService.textCache.set(file, text);
+        return text;
+    },
+
+    // Pages without a text layer (scans, photos of documents) go through OCR
+    extractTextFromPDF: async (file, { onProgress } = {}) => {
+        const arrayBuffer = await file.arrayBuffer();
+        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        const pages = [];
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const content = await page.getTextContent();
+            pages.push(content.items.map(item => item.str).join(" "));
+        }
+
+        const scanned = pages.map((text, i) => (text.replace(/\s/g, '').length < OCR.minPageChars ? i : -1)).filter(i => i >= 0);
+        for (const [n, index] of scanned.entries()) {
+            onProgress?.(`Running OCR on ${file.name}, page ${n + 1} of ${scanned.length}...`);
+            try {
+                pages[index] = await OCR.recognizePage(await pdf.getPage(index + 1));
+            } catch (e) {
+                throw new Error(`${file.name} has no text layer and OCR failed: ${e.message}`);
+            }
+        }
+        return pages.join("\n");
+    },
+
+    // Many ".doc" files are really RTF, HTML or renamed .docx; sniff before parsing
+    extractTextFromDoc: async (file) => {
+        const buffer = await file.arrayBuffer();
+        const head = new TextDecoder('windows-1252').decode(new Uint8Array(buffer, 0, Math.min(512, buffer.byteLength))).trimStart();
+        if (head.startsWith('{\\rtf')) return DocumentFormats.rtfText(await file.text());
+        if (/^<(!doctype|html|\?xml)/i.test(head)) return DocumentFormats.htmlText(await file.text());
+        if (head.startsWith('PK')) return AIService.extractTextFromDocx(file);
+
+        const streams = CompoundFile.read(buffer);
+        if (!streams) throw new Error('Unrecognised .doc file');
+        return DocumentFormats.wordText(streams);
+    },
+
+    extractTextFromDocx: async (file) => {
+        const arrayBuffer = await file.arrayBuffer();
+        const result = await mammoth.extractRawText({ arrayBuffer });
+        return result.value;
+    },
+
+    analyzeJD: async (text) => {
+        const prompt = `
+            Extract information from the following Job Description and return it as a JSON object with this exact structure:
+            {
+                "title": "Clear Job Title",
+                "skills": ["Skill 1", "Skill 2", ...],
+                "requirements": ["Requirement 1", "Requirement 2", ...],
+                "responsibilities": ["Responsibility 1", "Responsibility 2", ...],
+                "experience": "Brief summary of experience needed",
+                "qualifications": "Brief summary of qualifications needed"
+            }
+            Return ONLY the valid JSON object.
+            
+            Job Description:
+            ${text}
+        `;
+
+        return await AIService.requestJSON('jd', prompt, text);
+    },
+
+    analyzeCV: async (text, options = {}) => {
+        const prompt = `
+            Extract information from the following Resume/CV and return it as a JSON object with this exact structure.
+            Personal details have been replaced with placeholder tokens such as [NAME] or [EMAIL_1]; copy tokens as-is and never guess the originals.
+            {
+                "realName": "Full Name",
+                "email": "Email address",
+                "phone": "Phone number",
+                "skills": ["Skill 1", "Skill 2", ...],
+                "summary": "Brief professional summary extracted from the CV",
+                "yearsExperience": total years of professional experience as an integer (null if unclear),
+                "qualifications": ["Degree or certification 1", ...],
+                "employment": [
+                    { "role": "Job title", "employer": "Company name", "start": "YYYY-MM", "end": "YYYY-MM or present", "technologies": ["Skill used in this job", ...] }
+                ],
+                "education": [{ "qualification": "Degree", "institution": "University or school", "year": "Year completed" }],
+                "certifications": ["Certification 1", ...],
+                "languages": ["Spoken language 1", ...]
+            }
+            List every job and course in the CV, most recent first. Use a year alone ("YYYY") when the month is not given.
+            Return ONLY the valid JSON object.
+            
+            CV Content:
+            ${text}
+        `;
+
+        return await AIService.requestJSON('cv', prompt, text, options);
+    },
+
+    // Evaluates each JD requirement against the redacted CV. Evidence quotes that do not
+    // appear verbatim in the CV are replaced by the best local match.
+    compareFit: async (jd, cvProfile, options = {}) => {
+        const requirements = jd.requirements || [];
+        const cvText = String(cvProfile.text || '').slice(0, 12000);
+        const prompt = `
+            Act as an expert recruiter. Compare the following Job Description against the Candidate's CV.
+            
+            Job Description:
+            ${JSON.stringify({ ...jd, requirements: undefined, criteria: undefined })}
+            
+            Requirements to evaluate (in this order):
+            ${requirements.map((r, i) => `${i + 1}. ${r}`).join('\n            ') || 'None listed.'}
+            
+            Candidate Summary & Skills:
+            ${JSON.stringify({ summary: cvProfile.summary, skills: cvProfile.skills })}
+            
+            CV Text (personal details replaced by placeholders):
+            ${cvText}
+            
+            Return a JSON object with:
+            {
+                "score": 0-100 integer,
+                "justification": "One sentence explaining the score",
+                "requirements": [
+                    { "requirement": "Requirement text", "status": "met" | "partial" | "not_met", "evidence": "Exact sentence quoted from the CV text, or empty string" }
+                ]
+            }
+            Include one entry per requirement, in the same order. Quote evidence word for word; never paraphrase.
+            Return ONLY valid JSON.
+        `;
+
+        const fit = await AIService.requestJSON('fit', prompt, { jd, cv: { ...cvProfile, text: cvText } }, options);
+        fit.requirements = requirements.map((requirement, i) => {
+            const row = fit.requirements?.[i];
+            if (!row) return { ...EvidenceMatcher.evaluate(requirement, cvText), source: 'local' };
+            // A "met" or "partial" the CV does not back up word for word is replaced by the local verdict
+            if (row.status !== 'not_met' && !EvidenceMatcher.isVerbatim(row.evidence, cvText)) {
+                return { ...EvidenceMatcher.evaluate(requirement, cvText), source: 'local', unverified: row.status };
+            }
+            return { requirement, status: row.status, evidence: row.status === 'not_met' ? '' : row.evidence, source: 'model' };
+        });
+        return fit;
+    },
+
+    // Interview questions and scorecard from the JD and the candidate's anonymous analysis
+    generateInterviewKit: async (jd, cand, options = {}) => {
+        const rows = cand.requirements || [];
+        const prompt = `
+            Act as an experienced interviewer. Prepare an interview kit for the candidate below.
+            
+            Job: ${jd.title || ''}
+            Must-have skills: ${JSON.stringify(JDCriteria.of(jd).skills.filter(s => s.priority !== 'nice').map(s => s.name))}
+            
+            Requirement check against the candidate's CV:
+            ${rows.map((row, i) => `${i + 1}. ${row.requirement} -> ${row.status}${row.evidence ? ` (CV: "${row.evidence}")` : ''}`).join('\n            ') || 'None.'}
+            
+            Candidate summary: ${cand.details || ''}
+            Claimed skills: ${JSON.stringify(cand.match?.matched || cand.skills || [])}
+            
+            Return a JSON object with:
+            {
+                "questions": [
+                    { "topic": "Requirement or skill", "kind": "gap" | "verification" | "general", "question": "Question to ask", "lookFor": "What a good answer contains" }
+                ],
+                "scorecard": [
+                    { "criterion": "Must-have to rate", "poor": "What a 1 looks like", "meets": "What a 3 looks like", "strong": "What a 5 looks like" }
+                ]
+            }
+            Ask at least one "gap" question for every requirement that is not_met or partial, and one "verification" question for each claimed skill that matters for the job.
+            Personal details are replaced by placeholders; never ask about age, family, health, religion, nationality or other protected characteristics.
+            Return ONLY valid JSON.
+        `;
+        return await AIService.requestJSON('kit', prompt, { jd, cand }, options);
+    }
+};
+
+// --- Duplicate Detection ---
+// Candidates are matched on CV file content and on their vault-held identity: email
+// addresses and phone numbers through keyed fingerprints, names by fuzzy comparison
+// of the decrypted values. Reviewers only see why two candidates matched, never the values.
+const DuplicateDetector = {
+    nameThreshold: 0.88,
+    _names: new Map(), // refId -> normalised name; cleared when the vault locks
+
+    normalizeEmail: (email) => {
+        let [local, domain] = String(email || '').trim().toLowerCase().split('@');
+        if (!local || !domain) return '';
+        local = local.split('+')[0];
+        if (domain === 'gmail.com' || domain === 'googlemail.com') {
+            local = local.replace(/\./g, '');
+            domain = 'gmail.com';
+        }
+        return `${local}@${domain}`;
+    },
+
+    // Last nine digits, so "+44 7700 900123" and "07700 900123" agree
+    normalizePhone: (phone) => {
+        const digits = String(phone || '').replace(/\D/g, '');
+        return digits.length >= 9 ? digits.slice(-9) : '';
+    },
+
+    normalizeName: (name) => String(name || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/).filter(Boolean).sort().join(' '),
+
+    // 1 - normalised Levenshtein distance
+    similarity: (a, b) => {
+        if (!a.length || !b.length) return 0;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = row;
+        }
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    },
+
+    // "email:<hmac>" / "phone:<hmac>" for every address and number in a vault record
+    fingerprints: async (record) => {
+        const values = [
+            ...[record.email, ...(record.pii?.emails || [])].map(DuplicateDetector.normalizeEmail).filter(Boolean).map(v => ['email', v]),
+            ...[record.phone, ...(record.pii?.phones || [])].map(DuplicateDetector.normalizePhone).filter(Boolean).map(v => ['phone', v])
+        ];
+        const unique = [...new Map(values.map(([kind, v]) => [`${kind}:${v}`, [kind, v]])).values()];
+        return Promise.all(unique.map(async ([kind, v]) => `${kind}:${await vault.fingerprint(`${kind}:${v}`)}`));
+    },
+
+    nameOf: async (refId) => {
+        if (!DuplicateDetector._names.has(refId)) {
+            const record = await vault.retrieve(refId);
+            DuplicateDetector._names.set(refId, DuplicateDetector.normalizeName(record.realName));
+        }
+        return DuplicateDetector._names.get(refId);
+    },
+
+    // Returns [{ refId, alias, reasons, certain }] for candidates that look like `cand`.
+    // Name-only matches are possible duplicates; file, email or phone matches are certain.
+    find: async (cand, candidates) => {
+        const matches = [];
+        const name = await DuplicateDetector.nameOf(cand.refId).catch(() => '');
+        for (const other of candidates) {
+            if (other.refId === cand.refId || (cand.notDuplicateOf || []).includes(other.refId)) continue;
+            const reasons = [];
+            if (cand.contentHash && cand.contentHash === other.contentHash) reasons.push('identical CV file');
+            const shared = (cand.fingerprints || []).filter(fp => (other.fingerprints || []).includes(fp));
+            if (shared.some(fp => fp.startsWith('email:'))) reasons.push('same email address');
+            if (shared.some(fp => fp.startsWith('phone:'))) reasons.push('same phone number');
+            const otherName = await DuplicateDetector.nameOf(other.refId).catch(() => '');
+            if (name && otherName && DuplicateDetector.similarity(name, otherName) >= DuplicateDetector.nameThreshold) {
+                reasons.push(name === otherName ? 'same name' : 'similar name');
+            }
+            if (reasons.length) {
+                matches.push({ refId: other.refId, alias: other.alias, reasons, certain: reasons.some(r => !r.endsWith('name')) });
+            }
+        }
+        return matches;
+    }
+};
+
+vault.addEventListener('lock', () => DuplicateDetector._names.clear());
+
+// Applications across requisitions, keyed only by identity fingerprints, so a returning
+// applicant is recognised without keeping their details outside the vault.
+const ApplicantIndex = {
+    DB_NAME: 'hiring_assistant_applicants',
+    _db: null,
+
+    _open: async () => {
+        if (!ApplicantIndex._db) {
+            ApplicantIndex._db = await IDB.open(ApplicantIndex.DB_NAME, 1, (db) => {
+                const store = db.createObjectStore('applications', { keyPath: 'refId' });
+                store.createIndex('fingerprint', 'fingerprints', { multiEntry: true });
+                store.createIndex('requisitionId', 'requisitionId');
+            });
+        }
+        return ApplicantIndex._db;
+    },
+
+    record: async (cand) => IDB.run(await ApplicantIndex._open(), 'applications', 'readwrite', s => s.put({
+        refId: cand.refId,
+        fingerprints: cand.fingerprints || [],
+        requisitionId: state.requisitionId,
+        requisitionName: state.requisitionName,
+        appliedAt: cand.receivedAt || cand.processedAt,
+        score: cand.score
+    })),
+
+    // Earlier applications by the same person to other requisitions, newest first
+    priorApplications: async (cand) => {
+        const db = await ApplicantIndex._open();
+        const found = new Map();
+        for (const fp of cand.fingerprints || []) {
+            const rows = await IDB.run(db, 'applications', 'readonly', s => s.index('fingerprint').getAll(fp));
+            rows.filter(row => row.requisitionId !== state.requisitionId).forEach(row => found.set(row.refId, row));
+        }
+        return [...found.values()]
+            .map(({ requisitionId, requisitionName, appliedAt, score }) => ({ requisitionId, requisitionName, appliedAt, score }))
+            .sort((a, b) => String(b.appliedAt).localeCompare(String(a.appliedAt)));
+    },
+
+    delete: async (refId) => IDB.run(await ApplicantIndex._open(), 'applications', 'readwrite', s => s.delete(refId)),
+
+    deleteRequisition: async (requisitionId) => {
+        const db = await ApplicantIndex._open();
+        const keys = await IDB.run(db, 'applications', 'readonly', s => s.index('requisitionId').getAllKeys(requisitionId));
+        for (const key of keys) await IDB.run(db, 'applications', 'readwrite', s => s.delete(key));
+    }
+};
+
+// --- CV Processing Queue ---
+// Runs a worker over queued files with bounded concurrency. Jobs move through
+// queued -> running -> done | failed | cancelled and every change is announced with
+// an 'update' event; 'settled' fires once per finished attempt.
+
+class ProcessingQueue extends EventTarget {
+    constructor({ concurrency = 3, worker }) {
+        super();
+        this.concurrency = concurrency;
+        this.worker = worker;
+        this.jobs = [];
+        this.paused = false;
+        this._nextId = 1;
+    }
+
+    add(file) {
+        if (this.jobs.some(job => job.file === file)) return;
+        const job = { id: this._nextId++, file, status: 'queued', stage: '', error: '', result: null, attempts: 0, controller: null };
+        this.jobs.push(job);
+        this._emit('update', job);
+        this._pump();
+    }
+
+    pause() {
+        this.paused = true;
+        this._emit('update', null);
+    }
+
+    resume() {
+        this.paused = false;
+        this._emit('update', null);
+        this._pump();
+    }
+
+    // Stops the batch: queued jobs are cancelled and running ones aborted.
+    cancel() {
+        this.jobs.forEach(job => {
+            if (job.status === 'queued') {
+                job.status = 'cancelled';
+                this._emit('update', job);
+            } else if (job.status === 'running') {
+                job.controller.abort();
+            }
+        });
+    }
+
+    retry(job) {
+        if (!['failed', 'cancelled'].includes(job.status)) return;
+        Object.assign(job, { status: 'queued', stage: '', error: '' });
+        this._emit('update', job);
+        this._pump();
+    }
+
+    remove(job) {
+        if (job.status === 'running') return;
+        this.jobs = this.jobs.filter(j => j !== job);
+        this._emit('update', job);
+    }
+
+    get stats() {
+        const count = (status) => this.jobs.filter(job => job.status === status).length;
+        return {
+            total: this.jobs.length,
+            done: count('done'),
+            failed: count('failed'),
+            cancelled: count('cancelled'),
+            running: count('running'),
+            queued: count('queued')
+        };
+    }
+
+    _emit(type, job) {
+        this.dispatchEvent(new CustomEvent(type, { detail: job }));
+    }
+
+    _pump() {
+        while (!this.paused && this.stats.running < this.concurrency) {
+            const next = this.jobs.find(job => job.status === 'queued');
+            if (!next) break;
+            this._run(next);
+        }
+    }
+
+    async _run(job) {
+        job.status = 'running';
+        job.attempts++;
+        job.controller = new AbortController();
+        this._emit('update', job);
+
+        const { signal } = job.controller;
+        try {
+            job.result = await this.worker(job.file, {
+                signal,
+                report: (stage) => {
+                    job.stage = stage;
+                    this._emit('update', job);
+                }
+            });
+            job.status = 'done';
+        } catch (e) {
+            job.status = signal.aborted ? 'cancelled' : 'failed';
+            job.error = signal.aborted ? 'Cancelled' : e.message;
+        }
+
+        job.controller = null;
+        this._emit('update', job);
+        this._emit('settled', job);
+        this._pump();
+
+        const { running, queued } = this.stats;
+        if (running === 0 && (queued === 0 || this.paused)) this._emit('drain', null);
+    }
+}
+
+// Extracts, redacts, analyses and scores one CV. The identity is written to the vault
+// only after every model call has succeeded, so cancelled jobs leave nothing behind.
+async function processCV(file, { signal, report }) {
+    report(`Extracting & Analyzing ${file.name}...`);
+    const contentHash = await CVImport.hash(file);
+    const contactRef = state.cvContacts[contentHash];
+    const text = await AIService.extractText(file, { onProgress: report });
+    const redaction = PIIRedactor.redact(text);
+    const analysis = await AIService.analyzeCV(redaction.text, { signal });
+
+    // Employer and school names are tokenised after extraction (the model needs them to
+    // build the history) so they stay out of the stored profile and the fit comparison.
+    const history = WorkHistory.fromAnalysis(analysis, redaction.text);
+    const organisations = IdentityAccess.getPolicy().anonymiseOrganisations ? WorkHistory.anonymise(history, redaction) : {};
+    const experience = WorkHistory.summarize(history.employment);
+
+    report(`Comparing ${file.name} to Job Description...`);
+    const profile = {
+        // Skills are model text too; any that were only a name or contact detail are dropped
+        skills: (analysis.skills || []).map(skill => PIIRedactor.scrub(skill, redaction))
+            .filter(skill => skill && !/^\[[A-Z]+(_\d+)?\]$/.test(skill.trim())),
+        summary: PIIRedactor.scrub(analysis.summary, redaction),
+        yearsExperience: experience.totalYears !== null ? Math.floor(experience.totalYears) : (analysis.yearsExperience ?? null),
+        qualifications: analysis.qualifications?.length
+            ? analysis.qualifications
+            : [...history.education.map(e => e.qualification).filter(Boolean), ...history.certifications],
+        ...history,
+        experience,
+        text: redaction.text
+    };
+    const result = await scoreCandidate(state.jobDescription, profile, { signal, redaction });
+
+    if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
+
+    // Vault storage (originals come from local detection; placeholders from the model are ignored).
+    // CVs imported from email fall back to the sender's address.
+    const fromModel = (value) => (value && !/\[[A-Z]+(_\d+)?\]/.test(value) ? value : '');
+    const contact = contactRef ? await vault.retrieve(contactRef).catch(() => null) : null;
+    const refId = await vault.store({
+        realName: redaction.pii.name || fromModel(analysis.realName),
+        email: redaction.pii.emails[0] || fromModel(analysis.email) || contact?.email || '',
+        phone: redaction.pii.phones[0] || fromModel(analysis.phone),
+        originalFile: file.name,
+        organisations,
+        pii: redaction.pii,
+        tokens: redaction.tokens
+    });
+    await vault.storeFile(refId, file);
+    if (contactRef) await forgetCVContact(file);
+    const fingerprints = await DuplicateDetector.fingerprints({
+        email: redaction.pii.emails[0] || contact?.email,
+        phone: redaction.pii.phones[0],
+        pii: redaction.pii
+    });
+
+    return {
+        refId: refId,
+        alias: `Candidate ${Math.random().toString(36).substr(2, 5).toUpperCase()}`,
+        skills: profile.skills,
+        details: profile.summary,
+        analysis: profile, // Redacted CV analysis, kept so candidates can be re-scored without re-extraction
+        ...result,
+        contentHash,
+        fingerprints,
+        // When the CV was sent or saved: the email's date, the ZIP entry's time or the file's own
+        receivedAt: new Date(file.lastModified || Date.now()).toISOString(),
+        processedAt: new Date().toISOString(),
+        revealed: false
+    };
+}
+
+// Scores a redacted CV profile with the local matcher, the model, or a blend of both
+// depending on the scoring mode in AI Settings. When the JD lists requirements, the
+// model's share of the score is derived from its requirement-by-requirement breakdown.
+async function scoreCandidate(jd, profile, { signal, redaction } = {}) {
+    const { scoringMode, localWeight } = AIService.getSettings();
+    const local = SkillMatcher.score(jd, profile);
+
+    let fit = null;
+    let requirements = EvidenceMatcher.evaluateAll(jd.requirements, profile.text)
+        .map(row => ({ ...row, source: 'local' }));
+    if (scoringMode !== 'local') {
+        fit = await AIService.compareFit(jd, profile, { signal });
+        requirements = fit.requirements;
+    }
+    requirements = JDCriteria.weigh(jd, requirements)
+        .map(row => ({ ...row, evidence: PIIRedactor.scrub(row.evidence, redaction) }));
+
+    const knockouts = [
+        ...local.knockouts,
+        ...requirements.filter(row => row.priority === 'knockout' && row.status === 'not_met').map(row => row.requirement)
+    ];
+    const breakdownScore = EvidenceMatcher.score(requirements);
+    const modelScore = fit ? (breakdownScore ?? fit.score) : null;
+
+    let score = local.score;
+    if (scoringMode === 'model') score = modelScore;
+    if (scoringMode === 'blend') score = Math.round(local.score * localWeight + modelScore * (1 - localWeight));
+
+    return {
+        score,
+        modelScore,
+        localScore: local.score,
+        scoringMode,
+        localWeight, // The blend's local share at scoring time, so the explanation matches the score
+        requirements,
+        knockouts,
+        match: { matched: local.matched, missing: local.missing, missingNiceToHave: local.missingNiceToHave },
+        justification: fit ? PIIRedactor.scrub(fit.justification, redaction) : SkillMatcher.explain(local)
+    };
+}
+
+let cvQueue = null;
+
+// One queue per open requisition. Finished CVs are checkpointed immediately: the
+// candidate is saved and the file leaves the pending list, so a reload resumes with
+// whatever is left.
+function getCVQueue() {
+    if (cvQueue && cvQueue.requisitionId === state.requisitionId) return cvQueue;
+    if (cvQueue) cvQueue.cancel();
+
+    const queue = new ProcessingQueue({ concurrency: AIService.getSettings().concurrency, worker: processCV });
+    queue.requisitionId = state.requisitionId;
+    // Settled jobs are handled one at a time so concurrent duplicates still see each other
+    let settling = Promise.resolve();
+    queue.addEventListener('settled', ({ detail: job }) => {
+        settling = settling.then(async () => {
+            if (queue.requisitionId !== state.requisitionId) return;
+            if (job.status === 'done') {
+                const cand = job.result;
+                cand.duplicates = await DuplicateDetector.find(cand, state.candidates);
+                cand.priorApplications = await ApplicantIndex.priorApplications(cand).catch(() => []);
+                state.candidates.push(cand);
+                state._rawCVFiles = state._rawCVFiles.filter(f => f !== job.file);
+                await ApplicantIndex.record(cand).catch(e => log(`Could not record application: ${e.message}`));
+                await persistRequisition();
+            } else if (job.status === 'failed') {
+                log(`Error processing ${job.file.name}: ${job.error}`);
+            }
+        }).catch(e => log(`Could not save ${job.file.name}: ${e.message}`));
+    });
+    cvQueue = queue;
+    return queue;
+}
+
+window.addEventListener('beforeunload', (e) => {
+    if (cvQueue && cvQueue.stats.running > 0) {
+        // Finished CVs are saved; the rest resume when the requisition is reopened
+        e.preventDefault();
+        e.returnValue = '';
+    }
+});
+
+// Robust Initialization
+function init() {
+    // UI Event Listeners for Settings
+    const openSettings = document.getElementById('open-settings');
+    const closeSettings = document.getElementById('close-settings');
+    const settingsOverlay = document.getElementById('settings-overlay');
+    const saveKeyBtn = document.getElementById('save-key-btn');
+    const apiKeyInput = document.getElementById('api-key');
+    const providerSelect = document.getElementById('ai-provider');
+    const modelInput = document.getElementById('ai-model');
+    const baseUrlInput = document.getElementById('ai-base-url');
+    const concurrencyInput = document.getElementById('ai-concurrency');
+    const rpmInput = document.getElementById('ai-rpm');
+    const scoringModeSelect = document.getElementById('ai-scoring-mode');
+    const localWeightInput = document.getElementById('ai-local-weight');
+    const ocrLanguagesInput = document.getElementById('ocr-languages');
+
+    // Keys typed for each provider while the dialog is open; the field shows the selected one's
+    let keyDrafts = {};
+    let keyProvider = null;
+
+    // Placeholders and the key field follow the selected provider
+    const syncProviderFields = () => {
+        const provider = LLMProviders[providerSelect.value];
+        modelInput.placeholder = provider.defaultModel;
+        baseUrlInput.placeholder = provider.defaultBaseUrl || 'Not used';
+        baseUrlInput.disabled = providerSelect.value === 'mock';
+        apiKeyInput.placeholder = provider.requiresKey ? 'Required' : 'Optional';
+    };
+
+    if (providerSelect) {
+        providerSelect.innerHTML = Object.keys(LLMProviders)
+            .map(id => `<option value="${id}">${LLMProviders[id].label}</option>`)
+            .join('');
+        providerSelect.onchange = () => {
+            modelInput.value = '';
+            baseUrlInput.value = '';
+            keyDrafts[keyProvider] = apiKeyInput.value.trim();
+            keyProvider = providerSelect.value;
+            apiKeyInput.value = keyDrafts[keyProvider] || '';
+            syncProviderFields();
+        };
+    }
+
+    if (openSettings) {
+        openSettings.onclick = () => {
+            const settings = AIService.getSettings();
+            providerSelect.value = settings.provider;
+            modelInput.value = settings.model;
+            baseUrlInput.value = settings.baseUrl;
+            keyDrafts = { ...settings.apiKeys };
+            keyProvider = settings.provider;
+            apiKeyInput.value = settings.apiKey || '';
+            concurrencyInput.value = settings.concurrency;
+            rpmInput.value = settings.requestsPerMinute;
+            scoringModeSelect.value = settings.scoringMode;
+            localWeightInput.value = Math.round(settings.localWeight * 100);
+            ocrLanguagesInput.value = OCR.getLanguages().join('+');
+            syncProviderFields();
+            settingsOverlay.style.display = 'flex';
+        };
+    }
+
+    if (closeSettings) {
+        closeSettings.onclick = () => settingsOverlay.style.display = 'none';
+    }
+
+    if (saveKeyBtn) {
+        saveKeyBtn.onclick = async () => {
+            try {
+                await OCR.setLanguages(ocrLanguagesInput.value);
+            } catch (e) {
+                alert(e.message);
+                return;
+            }
+            AIService.saveSettings({
+                provider: providerSelect.value,
+                model: modelInput.value.trim(),
+                baseUrl: baseUrlInput.value.trim(),
+                apiKeys: { ...keyDrafts, [providerSelect.value]: apiKeyInput.value.trim() },
+                concurrency: parseInt(concurrencyInput.value, 10) || 3,
+                requestsPerMinute: parseInt(rpmInput.value, 10) || 0,
+                scoringMode: scoringModeSelect.value,
+                localWeight: (parseInt(localWeightInput.value, 10) || 0) / 100
+            });
+            if (cvQueue) cvQueue.concurrency = AIService.getSettings().concurrency;
+            settingsOverlay.style.display = 'none';
+            log(`AI settings saved (${LLMProviders[providerSelect.value].label}).`);
+        };
+    }
+
+    const auditBtn = document.getElementById('open-audit');
+    if (auditBtn) auditBtn.onclick = openAuditView;
+
+    const vaultLockBtn = document.getElementById('vault-lock-btn');
+    if (vaultLockBtn) {
+        vaultLockBtn.onclick = () => (vault.isUnlocked ? vault.lock() : ensureVaultUnlocked());
+        updateVaultIndicator();
+    }
+
+    const btn = document.getElementById('start-btn');
+    if (btn) {
+        log('Start button found.');
+        const logo = document.querySelector('.logo');
+        if (logo) {
+            logo.style.cursor = 'pointer';
+            logo.onclick = () => goToStep(0);
+        }
+        stepsNav.forEach(navBtn => {
+            const step = parseInt(navBtn.dataset.step);
+            if (!isNaN(step)) navBtn.addEventListener('click', () => goToStep(step));
+        });
+        renderView(0);
+    } else {
+        log('Start button NOT found. Retrying...');
+        setTimeout(init, 500);
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// --- Vault Unlock UI ---
+
+// Fields merged into a candidate on reveal; wiped again whenever the vault locks.
+const REVEALED_FIELDS = ['realName', 'email', 'phone', 'organisations'];
+
+// Shows the passphrase prompt if the vault is locked. Resolves true once unlocked,
+// false if the recruiter dismisses the prompt.
+async function ensureVaultUnlocked() {
+    if (vault.isUnlocked) return true;
+
+    const overlay = document.getElementById('vault-overlay');
+    const title = document.getElementById('vault-title');
+    const help = document.getElementById('vault-help');
+    const passInput = document.getElementById('vault-passphrase');
+    const confirmGroup = document.getElementById('vault-confirm-group');
+    const confirmInput = document.getElementById('vault-passphrase-confirm');
+    const errorText = document.getElementById('vault-error');
+    const unlockBtn = document.getElementById('vault-unlock-btn');
+    const closeBtn = document.getElementById('close-vault');
+    const resetBtn = document.getElementById('vault-reset-btn');
+
+    const creating = !(await vault.isInitialized());
+    title.textContent = creating ? 'Create Vault Passphrase' : 'Unlock Vault';
+    help.textContent = creating
+        ? 'Candidate identities are encrypted on this device with a key derived from this passphrase. It cannot be recovered if lost.'
+        : 'Enter your passphrase to access candidate identities. The vault locks again after inactivity.';
+    confirmGroup.style.display = creating ? 'flex' : 'none';
+    resetBtn.style.display = creating ? 'none' : 'inline';
+    passInput.value = '';
+    confirmInput.value = '';
+    errorText.textContent = '';
+    overlay.style.display = 'flex';
+    passInput.focus();
+
+    return new Promise((resolve) => {
+        const finish = (result) => {
+            overlay.style.display = 'none';
+            unlockBtn.onclick = closeBtn.onclick = resetBtn.onclick = passInput.onkeydown = null;
+            resolve(result);
+        };
+
+        unlockBtn.onclick = async () => {
+            errorText.textContent = '';
+            if (creating && passInput.value !== confirmInput.value) {
+                errorText.textContent = 'Passphrases do not match.';
+                return;
+            }
+            try {
+                await vault.unlock(passInput.value);
+                log('Vault unlocked.');
+                finish(true);
+            } catch (e) {
+                errorText.textContent = e.message;
+            }
+        };
+        passInput.onkeydown = (e) => { if (e.key === 'Enter') unlockBtn.click(); };
+        closeBtn.onclick = () => finish(false);
+        resetBtn.onclick = async () => {
+            if (!confirm('Resetting deletes every stored candidate identity permanently. Continue?')) return;
+            await vault.reset();
+            log('Vault reset.');
+            finish(false);
+        };
+    });
+}
+
+function updateVaultIndicator() {
+    const btn = document.getElementById('vault-lock-btn');
+    if (!btn) return;
+    btn.querySelector('.material-icons-round').textContent = vault.isUnlocked ? 'lock_open' : 'lock';
+    btn.title = vault.isUnlocked ? 'Vault unlocked — click to lock' : 'Vault locked — click to unlock';
+}
+
+vault.addEventListener('unlock', updateVaultIndicator);
+vault.addEventListener('lock', () => {
+    // Revealed identities only live as long as the vault is open
+    state.candidates.forEach(cand => {
+        REVEALED_FIELDS.forEach(field => delete cand[field]);
+        cand.revealed = false;
+    });
+    updateVaultIndicator();
+    log('Vault locked.');
+    if (state.step === 6) renderView(6);
+});
+
+// --- Identity Access UI ---
+
+// Asks for reviewer + reason, then runs every candidate through IdentityAccess.
+// Resolves with a Map of refId -> granted fields (denied candidates are left out),
+// or null if the reviewer cancels.
+async function requestIdentityAccess(candidates, purpose) {
+    if (!(await ensureVaultUnlocked())) return null;
+
+    const overlay = document.getElementById('access-overlay');
+    const summary = document.getElementById('access-summary');
+    const reviewerInput = document.getElementById('access-reviewer');
+    const reasonInput = document.getElementById('access-reason');
+    const errorText = document.getElementById('access-error');
+    const confirmBtn = document.getElementById('access-confirm-btn');
+    const closeBtn = document.getElementById('close-access');
+
+    const spec = IdentityAccess.purposes[purpose];
+    const policy = IdentityAccess.getPolicy();
+    summary.textContent = `${spec.label} for ${candidates.length === 1 ? candidates[0].alias : `${candidates.length} candidates`} ` +
+        `(fields: ${spec.fields.join(', ')}).${policy.requireShortlist ? ' Only shortlisted candidates can be accessed.' : ''} This access is recorded in the audit log.`;
+    reviewerInput.value = IdentityAccess.getReviewer();
+    reasonInput.value = '';
+    errorText.textContent = '';
+    overlay.style.display = 'flex';
+    (reviewerInput.value ? reasonInput : reviewerInput).focus();
+
+    return new Promise((resolve) => {
+        const finish = (result) => {
+            overlay.style.display = 'none';
+            confirmBtn.onclick = closeBtn.onclick = null;
+            resolve(result);
+        };
+
+        confirmBtn.onclick = async () => {
+            const reviewer = reviewerInput.value.trim();
+            const reason = reasonInput.value.trim();
+            errorText.textContent = '';
+            if (!reviewer || reason.length < IdentityAccess.MIN_REASON_LENGTH) {
+                errorText.textContent = `Enter your name and a reason of at least ${IdentityAccess.MIN_REASON_LENGTH} characters.`;
+                return;
+            }
+            IdentityAccess.setReviewer(reviewer);
+
+            const granted = new Map();
+            const denied = [];
+            for (const cand of candidates) {
+                try {
+                    granted.set(cand.refId, await IdentityAccess.request({
+                        refId: cand.refId,
+                        alias: cand.alias,
+                        purpose,
+                        reason,
+                        reviewer,
+                        shortlisted: Pipeline.isShortlisted(cand.refId)
+                    }));
+                } catch (e) {
+                    denied.push(`${cand.alias}: ${e.message}`);
+                }
+            }
+            if (denied.length) {
+                log(`Identity access denied for ${denied.length} candidate(s).`);
+                if (granted.size === 0) {
+                    errorText.textContent = denied.join(' ');
+                    return;
+                }
+                alert(`Access was denied for:\n${denied.join('\n')}`);
+            }
+            finish(granted);
+        };
+        closeBtn.onclick = () => finish(null);
+    });
+}
+
+async function openAuditView() {
+    const overlay = document.getElementById('audit-overlay');
+    const policyToggle = document.getElementById('audit-require-shortlist');
+    const organisationsToggle = document.getElementById('audit-anonymise-organisations');
+    const chainStatus = document.getElementById('audit-chain-status');
+    const tbody = document.getElementById('audit-table-body');
+
+    policyToggle.checked = IdentityAccess.getPolicy().requireShortlist;
+    policyToggle.onchange = () => {
+        IdentityAccess.savePolicy({ ...IdentityAccess.getPolicy(), requireShortlist: policyToggle.checked });
+        log(`Shortlist-before-access policy ${policyToggle.checked ? 'enabled' : 'disabled'}.`);
+    };
+    organisationsToggle.checked = IdentityAccess.getPolicy().anonymiseOrganisations;
+    organisationsToggle.onchange = () => {
+        IdentityAccess.savePolicy({ ...IdentityAccess.getPolicy(), anonymiseOrganisations: organisationsToggle.checked });
+        log(`Employer and school names ${organisationsToggle.checked ? 'will be' : 'will no longer be'} hidden in newly processed CVs.`);
+    };
+
+    const entries = await AuditLog.list();
+    const { ok, brokenAt } = await AuditLog.verify();
+    chainStatus.textContent = ok
+        ? `${entries.length} entries, integrity verified.`
+        : `Integrity check FAILED at entry #${brokenAt}. The log was modified outside the app.`;
+    chainStatus.style.color = ok ? 'var(--success-color)' : 'var(--red-color)';
+
+    tbody.innerHTML = entries.slice(-50).reverse().map(e => `
+        <tr style="border-bottom: 1px solid var(--border-color);">
+            <td style="padding: 0.5rem;">${new Date(e.at).toLocaleString()}</td>
+            <td style="padding: 0.5rem;">${escapeHtml(e.who)}</td>
+            <td style="padding: 0.5rem;">${IdentityAccess.purposes[e.purpose]?.label || escapeHtml(e.purpose)}</td>
+            <td style="padding: 0.5rem;">${escapeHtml(e.alias || e.refId)}</td>
+            <td style="padding: 0.5rem; color: ${e.outcome === 'granted' ? 'var(--success-color)' : 'var(--red-color)'};">${e.outcome}</td>
+            <td style="padding: 0.5rem; color: var(--text-muted);">${escapeHtml(e.reason)}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="6" style="padding: 0.5rem; color: var(--text-muted);">No identity access recorded yet.</td></tr>';
+
+    document.getElementById('audit-export-btn').onclick = async () => {
+        triggerMockDownload(`identity_access_audit_${Date.now()}.csv`, AuditLog.toCSV(await AuditLog.list()), 'text/csv');
+    };
+    document.getElementById('close-audit').onclick = () => overlay.style.display = 'none';
+    overlay.style.display = 'flex';
+}
+
+// Navigation Logic
+function goToStep(stepIndex) {
+    state.step = stepIndex;
+    state.furthestStep = Math.max(state.furthestStep, stepIndex);
+    updateSidebar(stepIndex);
+    renderView(stepIndex);
+    if (stepIndex > 0) persistRequisition();
+}
+
+function updateSidebar(currentStep) {
+    stepsNav.forEach(btn => {
+        const step = parseInt(btn.dataset.step);
+        if (isNaN(step)) { // Schedule is not a numbered step and stays reachable
+            btn.classList.remove('active');
+            return;
+        }
+        if (step === currentStep) {
+            btn.classList.add('active');
+            btn.removeAttribute('disabled');
+        } else if (currentStep > 0 && step <= state.furthestStep) {
+            btn.classList.remove('active');
+            btn.removeAttribute('disabled');
+        } else {
+            btn.classList.remove('active');
+            // Keep future steps disabled until unlocked
+            btn.setAttribute('disabled', 'true');
+        }
+    });
+}
+
+// Views
+function renderView(step) {
+    contentArea.innerHTML = ''; // Clear current view
+
+    switch (step) {
+        case 0: // Start screen & saved requisitions
+            renderStartView();
+            break;
+        case 1: // JD Upload
+            renderUploadView('Upload Job Description', 'Drag & drop a PDF, Word, ODT, RTF or HTML file here', (files) => {
+                handleJDUpload(files[0]);
+            });
             break;
         case 2: // JD Analysis
             renderAnalysisView();
             break;
         case 3: // CV Upload
-            renderUploadView('Upload Candidate CVs', 'Drag & drop multiple PDF/Docx files', (files) => {
+            renderUploadView('Upload Candidate CVs', 'Drag & drop CVs (PDF, Word, ODT, RTF, HTML), ZIP archives or saved emails (.eml, .mbox)', (files) => {
                 handleCVUpload(files);
             }, true);
             break;
@@ -367,331 +4450,1610 @@ function renderView(step) {
     }
 }
 
-// View Renderers
-function renderUploadView(title, subtitle, onUpload, multiple = false) {
+// View Renderers
+async function renderStartView() {
+    const container = document.createElement('div');
+    container.className = 'welcome-view';
+    container.innerHTML = `
+        <h2 style="font-family: Montserrat, sans-serif;">Welcome to the AI Hiring Assistant</h2>
+        <p>Streamline your recruitment process with unbiased, automated candidate parsing and matching.</p>
+        <button id="start-btn" class="primary-btn">Begin New Session</button>
+        <div style="width: 100%; max-width: 760px; margin-top: 3rem; text-align: left;">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <h3 style="margin: 0;">Saved Requisitions</h3>
+                <label style="color: var(--text-muted); font-size: 0.85rem; display: flex; align-items: center; gap: 0.4rem;">
+                    <input type="checkbox" id="show-archived"> Show archived
+                </label>
+            </div>
+            <div id="session-list" style="display: flex; flex-direction: column; gap: 0.75rem; margin-top: 1rem;"></div>
+        </div>
+    `;
+    contentArea.appendChild(container);
+
+    document.getElementById('start-btn').onclick = (e) => {
+        log('Start button clicked!');
+        e.preventDefault();
+        startNewRequisition();
+    };
+
+    const listEl = document.getElementById('session-list');
+    const showArchived = document.getElementById('show-archived');
+
+    const renderList = async () => {
+        let records = [];
+        try {
+            records = await RequisitionStore.list();
+        } catch (e) {
+            log(`Could not load requisitions: ${e.message}`);
+        }
+        const visible = records.filter(r => showArchived.checked || r.status !== 'archived');
+        listEl.innerHTML = visible.length ? '' : '<p style="color: var(--text-muted); margin: 0;">No saved requisitions yet.</p>';
+
+        visible.forEach(record => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex; align-items:center; justify-content:space-between; gap:1rem; padding:1rem; background:var(--surface-color); border:1px solid var(--border-color); border-radius:var(--radius-md);';
+            row.innerHTML = `
+                <div>
+                    <strong>${escapeHtml(record.name)}</strong>${record.status === 'archived' ? ' <span style="color: var(--text-muted); font-size: 0.8rem;">(archived)</span>' : ''}
+                    <div style="color: var(--text-muted); font-size: 0.85rem;">
+                        ${record.candidates.length} candidates · step ${record.step} · updated ${new Date(record.updatedAt).toLocaleString()}
+                    </div>
+                </div>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button class="icon-btn" data-action="open" title="Open"><span class="material-icons-round">folder_open</span></button>
+                    <button class="icon-btn" data-action="rename" title="Rename"><span class="material-icons-round">edit</span></button>
+                    <button class="icon-btn" data-action="archive" title="${record.status === 'archived' ? 'Restore' : 'Archive'}"><span class="material-icons-round">${record.status === 'archived' ? 'unarchive' : 'archive'}</span></button>
+                    <button class="icon-btn" data-action="delete" title="Delete"><span class="material-icons-round">delete</span></button>
+                </div>
+            `;
+            row.querySelector('[data-action="open"]').onclick = () => openRequisition(record.id);
+            row.querySelector('[data-action="rename"]').onclick = async () => {
+                const name = prompt('Requisition name', record.name);
+                if (!name || !name.trim()) return;
+                await RequisitionStore.save({ ...record, name: name.trim(), updatedAt: new Date().toISOString() });
+                renderList();
+            };
+            row.querySelector('[data-action="archive"]').onclick = async () => {
+                await RequisitionStore.save({ ...record, status: record.status === 'archived' ? 'active' : 'archived', updatedAt: new Date().toISOString() });
+                renderList();
+            };
+            row.querySelector('[data-action="delete"]').onclick = async () => {
+                if (!confirm(`Delete "${record.name}" and all of its candidate identities? This cannot be undone.`)) return;
+                // Candidate identities and email senders are purged with the requisition
+                const refIds = [...record.candidates.map(cand => cand.refId), ...Object.values(record.cvContacts || {})];
+                if (refIds.length && !(await ensureVaultUnlocked())) return;
+                for (const refId of refIds) {
+                    try {
+                        await vault.delete(refId);
+                    } catch (e) { }
+                }
+                await ApplicantIndex.deleteRequisition(record.id).catch(() => {});
+                await RequisitionStore.delete(record.id);
+                log(`Deleted requisition "${record.name}".`);
+                renderList();
+            };
+            listEl.appendChild(row);
+        });
+    };
+
+    showArchived.onchange = renderList;
+    renderList();
+}
+
+function startNewRequisition() {
+    loadRequisition({
+        id: `req_${Date.now().toString(36)}_${Array.from(crypto.getRandomValues(new Uint8Array(4)), b => b.toString(16).padStart(2, '0')).join('')}`,
+        name: `Untitled requisition (${new Date().toLocaleDateString()})`,
+        step: 1
+    });
+    state.furthestStep = 1;
+    goToStep(1);
+}
+
+async function openRequisition(id) {
+    const record = await RequisitionStore.get(id);
+    if (!record) return;
+    loadRequisition(record);
+    log(`Opened requisition "${record.name}".`);
+    // Step 6 needs a candidate in view, so reopen on the overview instead
+    goToStep(Math.min(record.step || 1, 5));
+}
+
+function renderUploadView(title, subtitle, onUpload, multiple = false) {
+    const container = document.createElement('div');
+    container.className = 'animate-fade-in';
+    container.innerHTML = `
+        <h2>${title}</h2>
+        <p style="color:var(--text-muted); margin-bottom: 2rem;">${subtitle}</p>
+        
+        <div class="upload-zone" id="drop-zone">
+            <span class="material-icons-round upload-icon">cloud_upload</span>
+            <h3>Drag & Drop files here</h3>
+            <p>or click to browse</p>
+            <input type="file" id="file-input" ${multiple ? 'multiple' : ''} style="display:none">
+        </div>
+    `;
+
+    contentArea.appendChild(container);
+
+    const dropZone = container.querySelector('#drop-zone');
+    const fileInput = container.querySelector('#file-input');
+
+    dropZone.addEventListener('click', () => fileInput.click());
+
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('dragover');
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+        if (e.dataTransfer.files.length > 0) {
+            onUpload(e.dataTransfer.files);
+        }
+    });
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            onUpload(fileInput.files);
+        }
+    });
+}
+
+async function renderAnalysisView() {
+    const container = document.createElement('div');
+    container.className = 'animate-fade-in';
+    container.innerHTML = `
+        <h2>Analyzing Job Description...</h2>
+        <div style="margin-top: 2rem; padding: 2rem; background: var(--surface-color); border-radius: var(--radius-md); border: 1px solid var(--border-color);">
+            <ul id="analysis-results" style="list-style: none; padding: 0;">
+                <li style="margin-bottom: 1rem; display: flex; align-items: center; gap: 1rem;">
+                    <span id="step-extract" class="status-dot pulsing"></span> Extracting content from file...
+                </li>
+            </ul>
+            <div id="jd-details" style="display:none; margin-top: 1.5rem; border-top: 1px solid var(--border-color); padding-top: 1.5rem;">
+                <input id="criteria-title" type="text" aria-label="Job title" style="width: 100%; box-sizing: border-box; font-size: 1.17rem; font-weight: 700; color: var(--primary-color); padding: 0.5rem; border: 1px solid var(--border-color); border-radius: var(--radius-md); margin-bottom: 1.5rem;">
+                <div style="margin-bottom: 1.5rem;">
+                    <strong>Skills</strong>
+                    <div id="criteria-skills" style="display: flex; flex-direction: column; gap: 0.5rem; margin-top: 0.5rem;"></div>
+                    <button id="add-skill-btn" type="button" style="margin-top: 0.5rem; background: none; border: none; color: var(--primary-color); cursor: pointer; padding: 0;">+ Add skill</button>
+                </div>
+                <div style="margin-bottom: 1.5rem;">
+                    <strong>Requirements</strong>
+                    <div id="criteria-requirements" style="display: flex; flex-direction: column; gap: 0.5rem; margin-top: 0.5rem;"></div>
+                    <button id="add-requirement-btn" type="button" style="margin-top: 0.5rem; background: none; border: none; color: var(--primary-color); cursor: pointer; padding: 0;">+ Add requirement</button>
+                </div>
+                <div style="margin-bottom: 1rem;">
+                    <label for="criteria-min-years"><strong>Minimum experience (years)</strong></label>
+                    <input id="criteria-min-years" type="number" min="0" max="60" style="width: 6rem; margin-left: 0.75rem; padding: 0.4rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+                    <p id="extracted-exp" style="color: var(--text-muted); font-size: 0.9rem; margin: 0.25rem 0;"></p>
+                </div>
+                <p style="color: var(--text-muted); font-size: 0.85rem; margin: 0;">Weights run from 1 to ${JDCriteria.maxWeight}. Candidates missing a knockout item are flagged regardless of score.</p>
+                <p id="criteria-status" style="color: var(--text-muted); font-size: 0.9rem; margin: 1rem 0 0;"></p>
+            </div>
+        </div>
+        <div style="display: flex; gap: 1rem; margin-top: 2rem;">
+            <button id="save-criteria-btn" style="display: none; background: transparent; border: 1px solid var(--primary-color); color: var(--primary-color); padding: 0.75rem 1.25rem; border-radius: var(--radius-md); cursor: pointer;">Save Criteria</button>
+            <button id="next-step-btn" class="primary-btn" style="display: none;">Proceed to Candidate Upload</button>
+        </div>
+    `;
+    contentArea.appendChild(container);
+
+    const list = document.getElementById('analysis-results');
+    const extractDot = document.getElementById('step-extract');
+    const detailsDiv = document.getElementById('jd-details');
+    const nextBtn = document.getElementById('next-step-btn');
+    const saveBtn = document.getElementById('save-criteria-btn');
+
+    document.getElementById('add-skill-btn').addEventListener('click', () =>
+        addCriteriaRow('criteria-skills', { name: '', priority: 'must', weight: 1 }).querySelector('input').focus());
+    document.getElementById('add-requirement-btn').addEventListener('click', () =>
+        addCriteriaRow('criteria-requirements', { text: '', priority: 'must', weight: 1 }).querySelector('input').focus());
+
+    try {
+        let analysis = state.jobDescription;
+
+        if (analysis) {
+            // Saved requisition: reuse the earlier analysis instead of paying for it again
+            extractDot.classList.remove('pulsing');
+            extractDot.style.backgroundColor = 'var(--success-color)';
+            list.innerHTML += `<li style="margin-bottom: 1rem; display: flex; align-items: center; gap: 1rem; animation: fadeIn 0.5s;">
+                <span class="status-dot" style="background: var(--success-color)"></span> Loaded saved analysis.</li>`;
+        } else {
+            // 1. Extract Text
+            const text = await AIService.extractText(state._rawJDFile, {
+                onProgress: (message) => { extractDot.parentElement.lastChild.textContent = ` ${message}`; }
+            });
+            extractDot.classList.remove('pulsing');
+            extractDot.style.backgroundColor = 'var(--success-color)';
+
+            list.innerHTML += `<li style="margin-bottom: 1rem; display: flex; align-items: center; gap: 1rem; animation: fadeIn 0.5s;">
+                <span id="step-ai" class="status-dot pulsing"></span> Sending to AI for analysis...</li>`;
+
+            // 2. Call AI
+            analysis = await AIService.analyzeJD(text);
+            state.jobDescription = analysis;
+            if (state.requisitionName.startsWith('Untitled requisition')) state.requisitionName = analysis.title;
+            persistRequisition();
+
+            const aiDot = document.getElementById('step-ai');
+            aiDot.classList.remove('pulsing');
+            aiDot.style.backgroundColor = 'var(--success-color)';
+
+            list.innerHTML += `<li style="margin-bottom: 1rem; display: flex; align-items: center; gap: 1rem; animation: fadeIn 0.5s;">
+                <span class="status-dot" style="background: var(--success-color)"></span> Job Description Analyzed!</li>`;
+        }
+
+        // 3. Criteria editor
+        container.querySelector('h2').textContent = 'Review Job Criteria';
+        fillCriteriaEditor(analysis);
+        detailsDiv.style.display = 'block';
+        nextBtn.style.display = 'block';
+        saveBtn.style.display = 'block';
+
+    } catch (error) {
+        log(`Error: ${error.message}`);
+        list.innerHTML += `<li style="color: #f87171; margin-top: 1rem;">⚠️ ${error.message}</li>`;
+        // Add retry button if key is missing
+        if (error.message.includes("API Key")) {
+            const retryBtn = document.createElement('button');
+            retryBtn.className = 'primary-btn';
+            retryBtn.style.marginTop = '1rem';
+            retryBtn.textContent = 'Enter API Key';
+            retryBtn.onclick = () => document.getElementById('open-settings').click();
+            container.appendChild(retryBtn);
+        }
+    }
+
+    saveBtn.addEventListener('click', () => saveCriteria());
+    nextBtn.addEventListener('click', async () => {
+        if (await saveCriteria()) goToStep(3);
+    });
+}
+
+function fillCriteriaEditor(jd) {
+    const criteria = JDCriteria.of(jd);
+    document.getElementById('criteria-title').value = jd.title;
+    document.getElementById('criteria-min-years').value = criteria.minYears ?? '';
+    document.getElementById('extracted-exp').textContent = jd.experience ? `From the job description: ${jd.experience}` : '';
+    document.getElementById('criteria-skills').innerHTML = '';
+    document.getElementById('criteria-requirements').innerHTML = '';
+    criteria.skills.forEach(item => addCriteriaRow('criteria-skills', item));
+    criteria.requirements.forEach(item => addCriteriaRow('criteria-requirements', item));
+}
+
+// One editable row: label, priority, weight and remove
+function addCriteriaRow(listId, item) {
+    const row = document.createElement('div');
+    row.className = 'criteria-row';
+    row.style.cssText = 'display: flex; gap: 0.5rem; align-items: center;';
+    row.innerHTML = `
+        <input type="text" class="criteria-label" value="${escapeHtml(item.name ?? item.text)}" placeholder="${listId === 'criteria-skills' ? 'Skill' : 'Requirement'}" style="flex: 1; padding: 0.4rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+        <select class="criteria-priority" aria-label="Priority" style="padding: 0.4rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+            ${Object.entries(JDCriteria.priorities).map(([value, label]) => `<option value="${value}" ${item.priority === value ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        <input type="number" class="criteria-weight" aria-label="Weight" min="1" max="${JDCriteria.maxWeight}" value="${item.weight}" style="width: 4rem; padding: 0.4rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+        <button type="button" class="icon-btn criteria-remove" title="Remove"><span class="material-icons-round">close</span></button>
+    `;
+    row.querySelector('.criteria-remove').addEventListener('click', () => row.remove());
+    document.getElementById(listId).appendChild(row);
+    return row;
+}
+
+function readCriteriaEditor() {
+    const read = (listId, labelKey) => [...document.querySelectorAll(`#${listId} .criteria-row`)]
+        .map(row => ({
+            [labelKey]: row.querySelector('.criteria-label').value.trim(),
+            priority: row.querySelector('.criteria-priority').value,
+            weight: Math.min(JDCriteria.maxWeight, Math.max(1, parseInt(row.querySelector('.criteria-weight').value, 10) || 1))
+        }))
+        .filter(item => item[labelKey]);
+    const minYears = parseInt(document.getElementById('criteria-min-years').value, 10);
+    return {
+        title: document.getElementById('criteria-title').value.trim(),
+        criteria: {
+            skills: read('criteria-skills', 'name'),
+            requirements: read('criteria-requirements', 'text'),
+            minYears: Number.isInteger(minYears) && minYears > 0 ? minYears : null
+        }
+    };
+}
+
+// Saves the edited criteria as the JD profile. If they changed and candidates were
+// already scored, offers to re-score them. Resolves false when nothing could be saved.
+async function saveCriteria() {
+    const status = document.getElementById('criteria-status');
+    const { title, criteria } = readCriteriaEditor();
+    if (!criteria.skills.length && !criteria.requirements.length) {
+        status.textContent = 'Add at least one skill or requirement.';
+        status.style.color = 'var(--red-color)';
+        return false;
+    }
+
+    const jd = state.jobDescription;
+    const changed = !JDCriteria.sameAs(JDCriteria.of(jd), criteria);
+    state.jobDescription = JDCriteria.apply({ ...jd, title: title || jd.title }, criteria);
+    await persistRequisition();
+    status.style.color = 'var(--text-muted)';
+    status.textContent = 'Criteria saved.';
+
+    const rescorable = state.candidates.filter(cand => cand.analysis);
+    if (changed && rescorable.length &&
+        confirm(`Re-score ${rescorable.length} candidate(s) against the updated criteria? Their cached CV analysis is reused; no files are re-read.`)) {
+        document.querySelectorAll('#save-criteria-btn, #next-step-btn').forEach(btn => { btn.disabled = true; });
+        try {
+            await rescoreCandidates(rescorable, (done) => {
+                status.textContent = `Re-scoring candidates... ${done}/${rescorable.length}`;
+            });
+            status.textContent = `Criteria saved and ${rescorable.length} candidate(s) re-scored.`;
+        } catch (e) {
+            log(`Re-scoring failed: ${e.message}`);
+            status.textContent = `Criteria saved, but re-scoring stopped: ${e.message}`;
+            status.style.color = 'var(--red-color)';
+        } finally {
+            document.querySelectorAll('#save-criteria-btn, #next-step-btn').forEach(btn => { btn.disabled = false; });
+        }
+    }
+    return true;
+}
+
+// Re-runs scoring from each candidate's cached (redacted) analysis. The model's text is
+// scrubbed with the redaction kept in the vault, so nothing is re-scored while it is locked.
+async function rescoreCandidates(candidates, onProgress) {
+    if (!(await ensureVaultUnlocked())) throw new Error('the vault is locked.');
+    let done = 0;
+    for (const cand of candidates) {
+        const { pii, tokens } = await vault.retrieve(cand.refId);
+        Object.assign(cand, await scoreCandidate(state.jobDescription, cand.analysis, { redaction: { pii, tokens } }));
+        onProgress(++done);
+    }
+    await persistRequisition();
+}
+
+
+async function renderMatchingView() {
     const container = document.createElement('div');
     container.className = 'animate-fade-in';
     container.innerHTML = `
-        <h2>${title}</h2>
-        <p style="color:var(--text-muted); margin-bottom: 2rem;">${subtitle}</p>
-        
-        <div class="upload-zone" id="drop-zone">
-            <span class="material-icons-round upload-icon">cloud_upload</span>
-            <h3>Drag & Drop files here</h3>
-            <p>or click to browse</p>
-            <input type="file" id="file-input" ${multiple ? 'multiple' : ''} style="display:none">
+        <h2>AI Matching & Analysis</h2>
+        <div style="margin-top: 2rem; padding: 2rem; background: var(--surface-color); border-radius: var(--radius-md); border: 1px solid var(--border-color);">
+            <div id="processing-status" style="margin-bottom: 2rem;">
+                <p id="overall-status" style="color:var(--text-main); font-weight:500;">Initializing AI analysis engine...</p>
+                <div style="width:100%; height:4px; background:rgba(255,255,255,0.1); border-radius:2px; margin-top:10px; overflow:hidden;">
+                    <div id="progress-bar" style="width:0%; height:100%; background:var(--primary-color); transition: width 0.3s ease;"></div>
+                </div>
+            </div>
+            <div id="match-progress-list" style="display: flex; flex-direction: column; gap: 1rem;"></div>
         </div>
+        <button id="proceed-to-overview-btn" class="primary-btn" style="margin-top:2rem; display:none;">View Comparison Table</button>
+    `;
+    contentArea.appendChild(container);
+
+    const progressList = document.getElementById('match-progress-list');
+    const overallStatus = document.getElementById('overall-status');
+    const progressBar = document.getElementById('progress-bar');
+    const proceedBtn = document.getElementById('proceed-to-overview-btn');
+
+    // Identities go straight into the encrypted vault, so it must be open first
+    if (!(await ensureVaultUnlocked())) {
+        overallStatus.textContent = 'The vault is locked. Unlock it to store candidate identities securely.';
+        proceedBtn.textContent = 'Unlock Vault';
+        proceedBtn.style.display = 'block';
+        proceedBtn.onclick = () => renderView(4);
+        return;
+    }
+
+    // Only CVs added since the last run are processed; existing candidates keep their scores
+    const queue = getCVQueue();
+    (state._rawCVFiles || []).forEach(file => queue.add(file));
+
+    const controls = document.createElement('div');
+    controls.style.cssText = 'display:flex; gap:0.75rem; margin-bottom:1.5rem;';
+    controls.innerHTML = `
+        <button id="queue-pause-btn" class="icon-btn" style="border:1px solid var(--border-color); border-radius:8px; padding:0.4rem 0.8rem;"></button>
+        <button id="queue-cancel-btn" class="icon-btn" style="border:1px solid var(--border-color); border-radius:8px; padding:0.4rem 0.8rem;">Cancel</button>
+        <button id="queue-retry-btn" class="icon-btn" style="border:1px solid var(--border-color); border-radius:8px; padding:0.4rem 0.8rem;">Retry failed</button>
     `;
+    progressList.before(controls);
+    const pauseBtn = controls.querySelector('#queue-pause-btn');
+    pauseBtn.onclick = () => (queue.paused ? queue.resume() : queue.pause());
+    controls.querySelector('#queue-cancel-btn').onclick = () => queue.cancel();
+    controls.querySelector('#queue-retry-btn').onclick = () => queue.jobs.forEach(job => queue.retry(job));
+
+    const renderJob = (job) => {
+        let item = progressList.querySelector(`[data-job="${job.id}"]`);
+        if (!queue.jobs.includes(job)) {
+            if (item) item.remove();
+            return;
+        }
+        if (!item) {
+            item = document.createElement('div');
+            item.dataset.job = job.id;
+            item.style.cssText = 'display:flex; align-items:center; gap:1rem; padding:1rem; background:rgba(255,255,255,0.03); border-radius:8px; animation:fadeIn 0.3s; flex-wrap:wrap;';
+            progressList.appendChild(item);
+        }
+
+        if (job.status === 'queued') {
+            item.innerHTML = `<span class="status-dot" style="background:var(--border-color); box-shadow:none;"></span> Queued: ${escapeHtml(job.file.name)}`;
+        } else if (job.status === 'running') {
+            item.innerHTML = `<span class="status-dot pulsing" style="background:var(--primary-color)"></span> ${escapeHtml(job.stage || job.file.name)}`;
+        } else if (job.status === 'done') {
+            item.innerHTML = `<span class="status-dot" style="background:var(--success-color)"></span> ${job.result.alias}: ${job.result.score}% Match
+                             <p style="margin:0.25rem 0 0 2rem; font-size:0.8rem; color:var(--text-muted); width:100%;">${escapeHtml(job.result.justification)}</p>`;
+        } else {
+            const failed = job.status === 'failed';
+            item.innerHTML = `<span class="status-dot" style="background:${failed ? '#f87171' : 'var(--border-color)'}; box-shadow:none;"></span>
+                             ${failed ? 'Error' : 'Cancelled'}: ${escapeHtml(job.file.name)}
+                             <button class="icon-btn" data-action="retry" style="margin-left:auto;">Retry</button>
+                             <button class="icon-btn" data-action="remove">Remove</button>
+                             ${failed ? `<p style="margin:0.25rem 0 0 2rem; font-size:0.8rem; color:var(--text-muted); width:100%;">${escapeHtml(job.error)}</p>` : ''}`;
+            item.querySelector('[data-action="retry"]').onclick = () => queue.retry(job);
+            item.querySelector('[data-action="remove"]').onclick = () => {
+                queue.remove(job);
+                state._rawCVFiles = state._rawCVFiles.filter(f => f !== job.file);
+                forgetCVContact(job.file).then(persistRequisition);
+            };
+        }
+    };
+
+    const renderProgress = () => {
+        const { total, done, failed, cancelled, running, queued } = queue.stats;
+        // Cancelled CVs are finished too, so a stopped batch still reaches the end of the bar
+        const settled = done + failed + cancelled;
+        progressBar.style.width = `${total ? Math.round((settled / total) * 100) : 100}%`;
+        pauseBtn.textContent = queue.paused ? 'Resume' : 'Pause';
+
+        if (total === 0) {
+            overallStatus.textContent = `No new CVs to process. ${state.candidates.length} candidates already scored.`;
+        } else if (running === 0 && queued === 0) {
+            overallStatus.textContent = `${cancelled ? 'Processing stopped.' : 'AI Analysis & Matching Complete!'} ` +
+                `${done} of ${total} CVs scored${failed ? `, ${failed} failed` : ''}${cancelled ? `, ${cancelled} cancelled` : ''}.`;
+        } else if (queue.paused) {
+            overallStatus.textContent = `Paused after ${settled} of ${total} CVs.`;
+        } else {
+            overallStatus.textContent = `Processing CVs: ${settled} of ${total} finished${failed ? ` (${failed} failed)` : ''}...`;
+        }
+
+        // Results so far can be reviewed as soon as nothing is in flight
+        proceedBtn.style.display = running === 0 && (queued === 0 || queue.paused) ? 'block' : 'none';
+    };
+
+    // The queue outlives this view; detach from it once the view is gone.
+    const onUpdate = ({ detail: job }) => {
+        if (!container.isConnected) {
+            queue.removeEventListener('update', onUpdate);
+            return;
+        }
+        if (job) renderJob(job);
+        renderProgress();
+    };
+    queue.addEventListener('update', onUpdate);
+
+    queue.jobs.forEach(renderJob);
+    renderProgress();
+    proceedBtn.onclick = () => goToStep(5);
+}
+
+
+function renderOverviewView() {
+    const container = document.createElement('div');
+    container.className = 'animate-fade-in';
+    container.innerHTML = `
+        <h2>Candidate Comparison Table</h2>
+        <p style="color: var(--text-muted); margin-bottom: 2rem;">Tick candidates to move them between stages, compare or export them. With none ticked, exports cover everyone matching the filters.</p>
+        <div style="margin-bottom: 1rem;">
+            <button id="back-btn1" style="background:none; border:none; color: var(--text-muted); cursor: pointer; display: flex; align-items: center; gap: 0.5rem; font-size: 1rem;">
+                <span class="material-icons-round">arrow_back</span> Back
+            </button>
+        </div>
+        <div style="display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: center; margin-bottom: 1rem;">
+            <input type="search" id="table-search" placeholder="Search summaries, skills and evidence" style="flex: 1; min-width: 220px; padding: 0.6rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+            <select id="table-skill" style="padding: 0.6rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+                <option value="">Filter by skill...</option>
+                ${tableSkillOptions().map(skill => `<option value="${escapeHtml(skill)}">${escapeHtml(skill)}</option>`).join('')}
+            </select>
+            <label style="font-size: 0.9rem; color: var(--text-muted);">Score
+                <input type="number" id="table-min-score" min="0" max="100" style="width: 4rem; padding: 0.5rem;"> –
+                <input type="number" id="table-max-score" min="0" max="100" style="width: 4rem; padding: 0.5rem;">
+            </label>
+            <select id="table-stage" style="padding: 0.6rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+                <option value="">All stages</option>
+                ${Object.entries(Pipeline.stages).map(([id, label]) => `<option value="${id}">${label}</option>`).join('')}
+            </select>
+            <label style="font-size: 0.9rem; color: var(--text-muted); display: flex; align-items: center; gap: 0.35rem;">
+                <input type="checkbox" id="table-hide-knockouts"> Hide knocked out
+            </label>
+            <button id="board-view-btn" class="icon-btn" style="font-size: 0.9rem; color: var(--primary-color); display: flex; align-items: center; gap: 0.35rem;">
+                <span class="material-icons-round">view_kanban</span> Board
+            </button>
+        </div>
+        <div id="table-skill-chips" style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem;"></div>
+        ${renderUpcomingInterviews()}
+        <div style="background: var(--surface-color); border-radius: var(--radius-md); border: 1px solid var(--border-color); overflow: hidden;">
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="background: rgba(255,255,255,0.05); text-align: left;">
+                        <th style="padding: 1rem; border-bottom: 1px solid var(--border-color);">Select</th>
+                        ${['alias', 'score', 'experience', 'requirements', 'stage', 'interview'].map(key => `
+                            <th data-sort="${key}" style="padding: 1rem; border-bottom: 1px solid var(--border-color); cursor: pointer; white-space: nowrap;">${CandidateTable.columns[key].label}</th>
+                        `).join('')}
+                        <th style="padding: 1rem; border-bottom: 1px solid var(--border-color);">Key Skills</th>
+                        <th style="padding: 1rem; border-bottom: 1px solid var(--border-color);">Actions</th>
+                    </tr>
+                </thead>
+                <tbody id="candidates-table-body">
+                </tbody>
+            </table>
+        </div>
+
+        <div style="margin-top: 1rem; display: flex; justify-content: space-between; align-items: center; font-size: 0.9rem; color: var(--text-muted);">
+            <span id="table-range"></span>
+            <div style="display: flex; gap: 0.5rem; align-items: center;">
+                <button id="table-prev" class="icon-btn"><span class="material-icons-round">chevron_left</span></button>
+                <span id="table-page"></span>
+                <button id="table-next" class="icon-btn"><span class="material-icons-round">chevron_right</span></button>
+            </div>
+        </div>
+
+        <div style="margin-top: 1.5rem; display: flex; justify-content: space-between; align-items: center;">
+            <div style="display: flex; gap: 1rem; align-items: center;">
+                <p id="selection-count" style="color: var(--text-muted); margin: 0;">0 candidates selected</p>
+                <button id="select-matching-btn" class="icon-btn" style="font-size: 0.85rem; color: var(--primary-color);">Select all matching</button>
+                <button id="clear-selection-btn" class="icon-btn" style="font-size: 0.85rem;">Clear</button>
+                <select id="bulk-stage" style="padding: 0.5rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+                    <option value="">Move selected to...</option>
+                    ${Object.entries(Pipeline.stages).map(([id, label]) => `<option value="${id}">${label}</option>`).join('')}
+                </select>
+            </div>
+            <div style="display: flex; gap: 1rem;">
+                <button id="compare-btn" style="background: transparent; border: 1px solid var(--primary-color); color: var(--primary-color); padding: 0.75rem 1.25rem; border-radius: var(--radius-md); cursor: pointer;">Compare Selected</button>
+                <button id="add-cvs-btn" style="background: transparent; border: 1px solid var(--primary-color); color: var(--primary-color); padding: 0.75rem 1.25rem; border-radius: var(--radius-md); cursor: pointer;">Add More CVs</button>
+                <button id="export-csv-btn" style="background: transparent; border: 1px solid var(--primary-color); color: var(--primary-color); padding: 0.75rem 1.25rem; border-radius: var(--radius-md); cursor: pointer;">Export CSV</button>
+                <button id="export-json-btn" style="background: transparent; border: 1px solid var(--primary-color); color: var(--primary-color); padding: 0.75rem 1.25rem; border-radius: var(--radius-md); cursor: pointer;">Export JSON</button>
+                <button id="export-report-btn" class="primary-btn">Hiring Report</button>
+            </div>
+        </div>
 
+        <div style="margin-top: 2rem;">
+            <label for="requisition-notes" style="display: block; color: var(--text-muted); font-size: 0.9rem; margin-bottom: 0.5rem;">Requisition notes</label>
+            <textarea id="requisition-notes" rows="3" style="width: 100%; box-sizing: border-box; padding: 0.75rem; border: 1px solid var(--border-color); border-radius: var(--radius-md); font-family: inherit;" placeholder="Notes for this requisition (saved automatically)"></textarea>
+        </div>
+    `;
     contentArea.appendChild(container);
+    document.getElementById('back-btn1').addEventListener('click', () => goToStep(4));
+    document.getElementById('add-cvs-btn').addEventListener('click', () => goToStep(3));
+    const notesInput = document.getElementById('requisition-notes');
+    notesInput.value = state.notes;
+    notesInput.addEventListener('change', () => {
+        state.notes = notesInput.value;
+        persistRequisition();
+    });
+    const tbody = document.getElementById('candidates-table-body');
+    const countLabel = document.getElementById('selection-count');
 
-    const dropZone = container.querySelector('#drop-zone');
-    const fileInput = container.querySelector('#file-input');
+    const compareBtn = document.getElementById('compare-btn');
+    const view = state.tableView;
 
-    dropZone.addEventListener('click', () => fileInput.click());
+    const updateSelectionUI = () => {
+        const count = state.selectedCandidates.size;
+        countLabel.textContent = `${count} candidates selected`;
+        compareBtn.disabled = count < 2 || count > 4;
+        compareBtn.style.opacity = compareBtn.disabled ? '0.5' : '1';
+        compareBtn.title = compareBtn.disabled ? 'Select two to four candidates to compare' : '';
+    };
 
-    dropZone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        dropZone.classList.add('dragover');
+    // Filter controls start from the current view
+    const searchInput = document.getElementById('table-search');
+    const minInput = document.getElementById('table-min-score');
+    const maxInput = document.getElementById('table-max-score');
+    const knockoutToggle = document.getElementById('table-hide-knockouts');
+    const stageSelect = document.getElementById('table-stage');
+    searchInput.value = view.query;
+    stageSelect.value = view.stage;
+    minInput.value = view.minScore;
+    maxInput.value = view.maxScore;
+    knockoutToggle.checked = view.hideKnockedOut;
+
+    const refilter = () => {
+        view.page = 0;
+        renderRows();
+    };
+    searchInput.addEventListener('input', () => { view.query = searchInput.value; refilter(); });
+    minInput.addEventListener('change', () => { view.minScore = Math.min(100, Math.max(0, parseInt(minInput.value, 10) || 0)); refilter(); });
+    maxInput.addEventListener('change', () => { view.maxScore = Math.min(100, Math.max(0, parseInt(maxInput.value, 10) || 100)); refilter(); });
+    knockoutToggle.addEventListener('change', () => { view.hideKnockedOut = knockoutToggle.checked; refilter(); });
+    stageSelect.addEventListener('change', () => { view.stage = stageSelect.value; refilter(); });
+    document.getElementById('board-view-btn').addEventListener('click', renderBoardView);
+    container.querySelectorAll('[data-interview-ref]').forEach(btn => btn.addEventListener('click', () => {
+        state.viewingCandidate = state.candidates.find(c => c.refId === btn.dataset.interviewRef);
+        goToStep(6);
+    }));
+    document.getElementById('bulk-stage').addEventListener('change', async (e) => {
+        const stage = e.target.value;
+        e.target.value = '';
+        const refIds = state.candidates.map(c => c.refId).filter(refId => state.selectedCandidates.has(refId));
+        if (!stage || !refIds.length) return;
+        if (await moveCandidates(refIds, stage)) renderRows();
     });
+    document.getElementById('table-skill').addEventListener('change', (e) => {
+        if (e.target.value && !view.skills.includes(e.target.value)) view.skills.push(e.target.value);
+        e.target.value = '';
+        refilter();
+    });
+    container.querySelectorAll('[data-sort]').forEach(th => th.addEventListener('click', () => {
+        view.descending = view.sort === th.dataset.sort ? !view.descending : th.dataset.sort !== 'alias';
+        view.sort = th.dataset.sort;
+        renderRows();
+    }));
+    document.getElementById('table-prev').addEventListener('click', () => { view.page--; renderRows(); });
+    document.getElementById('table-next').addEventListener('click', () => { view.page++; renderRows(); });
 
-    dropZone.addEventListener('dragleave', () => {
-        dropZone.classList.remove('dragover');
+    document.getElementById('select-matching-btn').addEventListener('click', () => {
+        CandidateTable.apply(state.candidates, view).forEach(cand => state.selectedCandidates.add(cand.refId));
+        renderRows();
+        persistRequisition();
+    });
+    document.getElementById('clear-selection-btn').addEventListener('click', () => {
+        state.selectedCandidates.clear();
+        renderRows();
+        persistRequisition();
+    });
+    compareBtn.addEventListener('click', () => {
+        renderCompareView(state.candidates.filter(c => state.selectedCandidates.has(c.refId)));
     });
 
-    dropZone.addEventListener('drop', (e) => {
-        e.preventDefault();
-        dropZone.classList.remove('dragover');
-        if (e.dataTransfer.files.length > 0) {
-            onUpload(e.dataTransfer.files);
+    const renderRows = () => {
+        const matching = CandidateTable.apply(state.candidates, view);
+        const { rows, start, pages } = CandidateTable.page(matching, view);
+        tbody.innerHTML = '';
+        rows.forEach(renderRow);
+        if (!rows.length) {
+            tbody.innerHTML = `<tr><td colspan="9" style="padding: 1rem; color: var(--text-muted);">${state.candidates.length ? 'No candidates match these filters.' : 'No candidates processed yet.'}</td></tr>`;
         }
-    });
 
-    fileInput.addEventListener('change', () => {
-        if (fileInput.files.length > 0) {
-            onUpload(fileInput.files);
+        document.getElementById('table-range').textContent = matching.length
+            ? `Showing ${start + 1}–${start + rows.length} of ${matching.length}${matching.length < state.candidates.length ? ` (filtered from ${state.candidates.length})` : ''}`
+            : '';
+        document.getElementById('table-page').textContent = `Page ${view.page + 1} of ${pages}`;
+        document.getElementById('table-prev').disabled = view.page === 0;
+        document.getElementById('table-next').disabled = view.page >= pages - 1;
+        container.querySelectorAll('[data-sort]').forEach(th => {
+            th.textContent = CandidateTable.columns[th.dataset.sort].label + (th.dataset.sort === view.sort ? (view.descending ? ' ▼' : ' ▲') : '');
+        });
+        const chips = document.getElementById('table-skill-chips');
+        chips.innerHTML = view.skills.map(skill => `
+            <span style="background: rgba(59, 130, 246, 0.1); color: var(--primary-color); padding: 0.3rem 0.75rem; border-radius: 8px; font-size: 0.85rem;">
+                Has ${escapeHtml(skill)} <button class="icon-btn" data-unskill="${escapeHtml(skill)}" style="font-size: 0.85rem;">×</button>
+            </span>
+        `).join('');
+        chips.querySelectorAll('[data-unskill]').forEach(btn => btn.addEventListener('click', () => {
+            view.skills = view.skills.filter(skill => skill !== btn.dataset.unskill);
+            refilter();
+        }));
+        updateSelectionUI();
+    };
+
+    const renderRow = (cand) => {
+        const tr = document.createElement('tr');
+        tr.style.borderBottom = '1px solid var(--border-color)';
+
+        const isSelected = state.selectedCandidates.has(cand.refId);
+        const badgeClass = cand.score >= 90 ? 'high' : (cand.score >= 75 ? 'medium' : 'low');
+        const years = CandidateTable.columns.experience.value(cand);
+        const interviewScore = CandidateTable.columns.interview.value(cand);
+
+        tr.innerHTML = `
+            <td style="padding: 1rem;">
+                <input type="checkbox" class="select-cand-cb" value="${cand.refId}" ${isSelected ? 'checked' : ''} style="width: 18px; height: 18px; cursor: pointer;">
+            </td>
+            <td style="padding: 1rem; font-weight: 500;">
+                ${cand.alias}
+                ${openDuplicates(cand).map(dup => `
+                    <div style="margin-top: 0.35rem; font-size: 0.75rem; font-weight: 400; color: ${dup.certain ? 'var(--red-color)' : 'var(--secondary-color)'};">
+                        ${dup.certain ? 'Duplicate' : 'Possible duplicate'} of ${dup.alias} (${dup.reasons.join(', ')})
+                        <button class="icon-btn" data-merge="${dup.refId}" style="font-size: 0.75rem;">Merge</button>
+                        <button class="icon-btn" data-distinct="${dup.refId}" style="font-size: 0.75rem;">Not a duplicate</button>
+                    </div>
+                `).join('')}
+                ${cand.priorApplications?.length ? `<div style="margin-top: 0.35rem; font-size: 0.75rem; font-weight: 400; color: var(--text-muted);">Applied before: ${cand.priorApplications.map(app => escapeHtml(app.requisitionName)).join(', ')}</div>` : ''}
+            </td>
+            <td style="padding: 1rem;">
+                <span class="match-badge ${badgeClass}">${cand.score}%</span>
+                ${cand.scoringMode === 'blend' ? `<div style="margin-top: 0.35rem; font-size: 0.75rem; color: var(--text-muted);">AI ${cand.modelScore}% · Local ${cand.localScore}%</div>` : ''}
+            </td>
+            <td style="padding: 1rem; color: var(--text-muted); font-size: 0.9rem; white-space: nowrap;">
+                ${years !== null && years >= 0 ? `${years} yrs` : '—'}
+            </td>
+            <td style="padding: 1rem; color: var(--text-muted); font-size: 0.9rem; white-space: nowrap;">
+                ${cand.requirements?.length ? `${cand.requirements.filter(row => row.status === 'met').length}/${cand.requirements.length} met` : '—'}
+            </td>
+            <td style="padding: 1rem; font-size: 0.9rem; white-space: nowrap;">
+                ${renderStageLabel(cand)}
+            </td>
+            <td style="padding: 1rem; font-size: 0.9rem; white-space: nowrap;">
+                ${interviewScore >= 0 ? `<span class="match-badge ${interviewScore >= 75 ? 'high' : interviewScore >= 50 ? 'medium' : 'low'}">${interviewScore}%</span>` : '<span style="color: var(--text-muted);">—</span>'}
+            </td>
+            <td style="padding: 1rem; color: var(--text-muted); font-size: 0.9rem;">
+                ${cand.skills.join(', ')}
+                ${cand.match?.missing.length ? `<div style="margin-top: 0.35rem; font-size: 0.75rem; color: var(--red-color);">Missing: ${cand.match.missing.map(escapeHtml).join(', ')}</div>` : ''}
+                ${cand.knockouts?.length ? `<div style="margin-top: 0.35rem; font-size: 0.75rem; font-weight: 600; color: var(--red-color);">Knocked out: ${escapeHtml(cand.knockouts.join(', '))}</div>` : ''}
+            </td>
+            <td style="padding: 1rem;">
+                <button class="view-btn" style="background: transparent; border: 1px solid var(--primary-color); color: var(--primary-color); padding: 0.4rem 0.8rem; border-radius: 6px; cursor: pointer; font-size: 0.85rem;">
+                    View Details
+                </button>
+            </td>
+        `;
+
+        // Checkbox Handler
+        const cb = tr.querySelector('.select-cand-cb');
+        cb.addEventListener('change', (e) => {
+            if (e.target.checked) state.selectedCandidates.add(cand.refId);
+            else state.selectedCandidates.delete(cand.refId);
+            updateSelectionUI();
+            persistRequisition();
+        });
+
+        // View Detail Handler
+        tr.querySelector('.view-btn').addEventListener('click', () => {
+            state.viewingCandidate = cand;
+            goToStep(6);
+        });
+
+        // Duplicate Handlers
+        tr.querySelectorAll('[data-merge]').forEach(btn => btn.addEventListener('click', async () => {
+            const other = state.candidates.find(c => c.refId === btn.dataset.merge);
+            if (other && await mergeCandidates(cand, other)) renderView(5);
+        }));
+        tr.querySelectorAll('[data-distinct]').forEach(btn => btn.addEventListener('click', async () => {
+            const other = state.candidates.find(c => c.refId === btn.dataset.distinct);
+            if (!other) return;
+            cand.notDuplicateOf = [...(cand.notDuplicateOf || []), other.refId];
+            other.notDuplicateOf = [...(other.notDuplicateOf || []), cand.refId];
+            await persistRequisition();
+            renderView(5);
+        }));
+
+        tbody.appendChild(tr);
+    };
+    renderRows();
+
+    // Exports the ticked candidates, or everyone matching the filters when none are ticked
+    const exportScope = () => {
+        const selected = state.candidates.filter(c => state.selectedCandidates.has(c.refId));
+        return selected.length ? selected : CandidateTable.apply(state.candidates, view);
+    };
+    document.getElementById('export-csv-btn').addEventListener('click', () => exportCandidates(exportScope(), 'csv'));
+    document.getElementById('export-json-btn').addEventListener('click', () => exportCandidates(exportScope(), 'json'));
+    document.getElementById('export-report-btn').addEventListener('click', () => exportCandidates(exportScope(), 'report'));
+}
+
+// Writes the candidates as CSV, JSON or the printable hiring report. Names and emails are
+// only included for candidates already revealed, and only through an audited export request.
+async function exportCandidates(candidates, format) {
+    if (!candidates.length) {
+        alert('There are no candidates to export.');
+        return;
+    }
+    const revealed = candidates.filter(c => c.revealed);
+    let identities = new Map();
+    if (revealed.length) {
+        identities = await requestIdentityAccess(revealed, 'export');
+        if (!identities) return;
+    }
+
+    const rows = ReportExport.rows(candidates, identities);
+    const requisition = { name: state.requisitionName, jd: state.jobDescription };
+    const slug = (state.requisitionName || 'requisition').replace(/[^\w-]+/g, '_').slice(0, 40);
+    if (format === 'csv') {
+        triggerMockDownload(`${slug}_candidates.csv`, ReportExport.toCSV(rows, state.jobDescription?.requirements), 'text/csv');
+    } else if (format === 'json') {
+        triggerMockDownload(`${slug}_candidates.json`, ReportExport.toJSON(requisition, rows), 'application/json');
+    } else {
+        // Printed from a new window (Save as PDF); blocked pop-ups fall back to an HTML download
+        const html = ReportExport.toHTML(requisition, rows);
+        const win = window.open('', '_blank');
+        if (win) {
+            win.document.write(html);
+            win.document.close();
+            win.focus();
+            win.print();
+        } else {
+            triggerMockDownload(`${slug}_hiring_report.html`, html, 'text/html');
         }
-    });
+    }
+    log(`Exported ${rows.length} candidate(s) ${format === 'report' ? 'to the hiring report' : `as ${format.toUpperCase()}`}${identities.size ? ` (${identities.size} with identity)` : ''}.`);
 }
 
-async function renderAnalysisView() {
+// Skills offered by the table's skill filter: the JD's first, then any other candidate skill
+function tableSkillOptions() {
+    const jdSkills = SkillMatcher.normalizeAll(state.jobDescription?.skills);
+    const others = SkillMatcher.normalizeAll(state.candidates.flatMap(c => c.skills || []))
+        .filter(skill => !jdSkills.includes(skill))
+        .sort((a, b) => a.localeCompare(b));
+    return [...jdSkills, ...others];
+}
+
+// Two to four candidates side by side: JD skills, requirement coverage and justification
+function renderCompareView(candidates) {
+    contentArea.innerHTML = '';
+    const jd = state.jobDescription || {};
+    const skills = SkillMatcher.normalizeAll(jd.skills);
+    const requirements = jd.requirements || [];
+    const cell = 'padding: 0.75rem; border-bottom: 1px solid var(--border-color); vertical-align: top;';
+    const row = (label, render) => `
+        <tr>
+            <th style="${cell} text-align: left; font-weight: 500; color: var(--text-muted); width: 22%;">${label}</th>
+            ${candidates.map(cand => `<td style="${cell}">${render(cand)}</td>`).join('')}
+        </tr>
+    `;
+
     const container = document.createElement('div');
     container.className = 'animate-fade-in';
     container.innerHTML = `
-        <h2>Analyzing Job Description...</h2>
-        <div style="margin-top: 2rem; padding: 2rem; background: var(--surface-color); border-radius: var(--radius-md); border: 1px solid var(--border-color);">
-            <ul id="analysis-results" style="list-style: none; padding: 0;">
-                <li style="margin-bottom: 1rem; display: flex; align-items: center; gap: 1rem;">
-                    <span id="step-extract" class="status-dot pulsing"></span> Extracting content from file...
-                </li>
-            </ul>
-            <div id="jd-details" style="display:none; margin-top: 1.5rem; border-top: 1px solid var(--border-color); padding-top: 1.5rem;">
-                <h3 id="extracted-title" style="color: var(--primary-color);"></h3>
-                <div style="margin-bottom: 1rem;">
-                    <strong>Required Skills:</strong>
-                    <div id="extracted-skills" style="display:flex; flex-wrap:wrap; gap:0.5rem; margin-top:0.5rem;"></div>
+        <div style="margin-bottom: 1rem;">
+            <button id="compare-back-btn" style="background:none; border:none; color: var(--text-muted); cursor: pointer; display: flex; align-items: center; gap: 0.5rem; font-size: 1rem;">
+                <span class="material-icons-round">arrow_back</span> Back to Table
+            </button>
+        </div>
+        <h2>Side-by-side Comparison</h2>
+        <div style="background: var(--surface-color); border-radius: var(--radius-md); border: 1px solid var(--border-color); overflow-x: auto;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+                <thead>
+                    <tr>
+                        <th style="${cell}"></th>
+                        ${candidates.map(cand => `<th style="${cell} text-align: left;">${cand.alias}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${row('Match score', cand => `<span class="match-badge ${cand.score >= 90 ? 'high' : (cand.score >= 75 ? 'medium' : 'low')}">${cand.score}%</span>`)}
+                    ${row('Experience', cand => {
+                        const years = CandidateTable.columns.experience.value(cand);
+                        return years >= 0 ? `${years} yrs` : '—';
+                    })}
+                    ${skills.map(skill => row(escapeHtml(skill), cand => (SkillMatcher.normalizeAll(cand.skills).includes(skill)
+                        ? '<span style="color: var(--success-color);">✓</span>'
+                        : '<span style="color: var(--red-color);">✗</span>'))).join('')}
+                    ${row('Other skills', cand => escapeHtml(SkillMatcher.normalizeAll(cand.skills).filter(skill => !skills.includes(skill)).join(', ') || '—'))}
+                    ${requirements.map(requirement => row(escapeHtml(requirement), cand => {
+                        const evidence = EvidenceMatcher.rowFor(cand.requirements, requirement);
+                        if (!evidence) return '—';
+                        return `<strong style="color: ${EVIDENCE_STATUS_COLORS[evidence.status]};">${EvidenceMatcher.statusLabels[evidence.status] || evidence.status}</strong>
+                            ${evidence.evidence ? `<div style="margin-top: 0.25rem; color: var(--text-muted); font-style: italic;">“${escapeHtml(evidence.evidence)}”</div>` : ''}`;
+                    })).join('')}
+                    ${row('Knockouts', cand => (cand.knockouts?.length ? `<span style="color: var(--red-color);">${escapeHtml(cand.knockouts.join(', '))}</span>` : '—'))}
+                    ${row('Justification', cand => `<span style="color: var(--text-muted); font-style: italic;">${escapeHtml(cand.justification || '')}</span>`)}
+                </tbody>
+            </table>
+        </div>
+    `;
+    contentArea.appendChild(container);
+    document.getElementById('compare-back-btn').addEventListener('click', () => renderView(5));
+}
+
+// Stage badge with rejection reason and average rating, for tables and cards
+function renderStageLabel(cand) {
+    const record = Pipeline.of(cand.refId);
+    const rating = Pipeline.averageRating(cand.refId);
+    const next = Pipeline.upcomingInterviews(cand.refId)[0];
+    return `
+        <span style="font-weight: 600; color: ${Pipeline.stageColors[record.stage]};">${Pipeline.stages[record.stage]}</span>
+        ${record.stage === 'rejected' && record.reason ? `<div style="font-size: 0.75rem; color: var(--text-muted);">${escapeHtml(record.reason)}</div>` : ''}
+        ${rating !== null ? `<div style="font-size: 0.75rem; color: var(--gold-color);">★ ${rating}</div>` : ''}
+        ${next ? `<div style="font-size: 0.75rem; color: var(--primary-color);">📅 ${formatInterviewTime(next)}</div>` : ''}
+    `;
+}
+
+function formatInterviewTime(interview) {
+    return new Date(interview.startMs).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+// Interviews coming up across the requisition, soonest first
+function renderUpcomingInterviews() {
+    const upcoming = state.candidates
+        .flatMap(cand => Pipeline.upcomingInterviews(cand.refId).map(interview => ({ cand, interview })))
+        .sort((a, b) => a.interview.startMs - b.interview.startMs);
+    if (!upcoming.length) return '';
+    return `
+        <div style="background: var(--surface-color); border: 1px solid var(--border-color); border-radius: var(--radius-md); padding: 1rem; margin-bottom: 1rem;">
+            <h4 style="margin: 0 0 0.5rem;">Upcoming interviews (${upcoming.length})</h4>
+            ${upcoming.map(({ cand, interview }) => `
+                <div style="display: flex; gap: 1rem; align-items: center; font-size: 0.9rem; padding: 0.25rem 0;">
+                    <span style="min-width: 11rem;">📅 ${formatInterviewTime(interview)}</span>
+                    <button data-interview-ref="${cand.refId}" class="icon-btn" style="font-size: 0.9rem; color: var(--primary-color);">${cand.alias}</button>
+                    <span style="color: var(--text-muted);">${interview.panel?.length ? `with ${interview.panel.length + 1} interviewers` : ''}${interview.meetLink ? ' · video' : ''}</span>
                 </div>
-                <div style="margin-bottom: 1rem;">
-                    <strong>Experience:</strong>
-                    <p id="extracted-exp" style="color: var(--text-muted); font-size: 0.9rem; margin: 0.25rem 0;"></p>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Name recorded on notes, ratings and stage changes (the same one identity access uses)
+function currentReviewer() {
+    let reviewer = IdentityAccess.getReviewer();
+    if (!reviewer) {
+        reviewer = (prompt('Your name (recorded on notes, ratings and stage changes):') || '').trim();
+        if (reviewer) IdentityAccess.setReviewer(reviewer);
+    }
+    return reviewer;
+}
+
+// Moves candidates to a stage, asking for a rejection reason when needed. Resolves false
+// if the reviewer cancels.
+async function moveCandidates(refIds, stage) {
+    let reason = '';
+    if (stage === 'rejected') {
+        reason = (prompt(`Reason for rejecting ${refIds.length === 1 ? 'this candidate' : `${refIds.length} candidates`} (e.g. ${Pipeline.rejectionReasons.join(', ')}):`, Pipeline.rejectionReasons[0]) || '').trim();
+        if (!reason) return false;
+    }
+    const by = currentReviewer();
+    if (!by) return false;
+    refIds.forEach(refId => Pipeline.move(refId, stage, { reason, by }));
+    await persistRequisition();
+    log(`Moved ${refIds.length} candidate(s) to ${Pipeline.stages[stage]}.`);
+    return true;
+}
+
+// Kanban board: one column per stage; cards are dragged between columns or moved with
+// their stage menu.
+function renderBoardView() {
+    contentArea.innerHTML = '';
+    const container = document.createElement('div');
+    container.className = 'animate-fade-in';
+    container.innerHTML = `
+        <div style="margin-bottom: 1rem;">
+            <button id="board-back-btn" style="background:none; border:none; color: var(--text-muted); cursor: pointer; display: flex; align-items: center; gap: 0.5rem; font-size: 1rem;">
+                <span class="material-icons-round">arrow_back</span> Back to Table
+            </button>
+        </div>
+        <h2>Pipeline Board</h2>
+        <div style="display: grid; grid-template-columns: repeat(${Object.keys(Pipeline.stages).length}, minmax(160px, 1fr)); gap: 0.75rem; overflow-x: auto; align-items: start;">
+            ${Object.entries(Pipeline.stages).map(([stage, label]) => {
+                const cands = state.candidates.filter(c => Pipeline.stageOf(c.refId) === stage)
+                    .sort((a, b) => b.score - a.score);
+                return `
+                    <div data-stage="${stage}" style="background: var(--surface-hover); border-radius: var(--radius-md); padding: 0.75rem; min-height: 200px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem;">
+                            <h4 style="margin: 0; color: ${Pipeline.stageColors[stage]};">${label} (${cands.length})</h4>
+                            ${cands.length ? `
+                                <button data-message-stage="${stage}" class="icon-btn" title="Email everyone in ${label}" style="color: var(--text-muted);">
+                                    <span class="material-icons-round" style="font-size: 1.1rem;">mail</span>
+                                </button>
+                            ` : ''}
+                        </div>
+                        ${cands.map(cand => `
+                            <div draggable="true" data-ref="${cand.refId}" style="background: var(--surface-color); border: 1px solid var(--border-color); border-radius: 8px; padding: 0.6rem; margin-bottom: 0.5rem; cursor: grab; font-size: 0.85rem;">
+                                <strong>${cand.alias}</strong>
+                                <div style="color: var(--text-muted);">${cand.score}% match${Pipeline.averageRating(cand.refId) !== null ? ` · ★ ${Pipeline.averageRating(cand.refId)}` : ''}</div>
+                                ${stage === 'rejected' && Pipeline.of(cand.refId).reason ? `<div style="color: var(--text-muted); font-size: 0.75rem;">${escapeHtml(Pipeline.of(cand.refId).reason)}</div>` : ''}
+                                <select data-move="${cand.refId}" style="margin-top: 0.4rem; width: 100%; font-size: 0.8rem;">
+                                    ${Object.entries(Pipeline.stages).map(([id, name]) => `<option value="${id}" ${id === stage ? 'selected' : ''}>${name}</option>`).join('')}
+                                </select>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+    contentArea.appendChild(container);
+    document.getElementById('board-back-btn').addEventListener('click', () => renderView(5));
+
+    const moveTo = async (refId, stage) => {
+        if (stage !== Pipeline.stageOf(refId)) await moveCandidates([refId], stage);
+        renderBoardView();
+    };
+    container.querySelectorAll('[data-ref]').forEach(card => {
+        card.addEventListener('dragstart', (e) => e.dataTransfer.setData('text/plain', card.dataset.ref));
+        card.addEventListener('dblclick', () => {
+            state.viewingCandidate = state.candidates.find(c => c.refId === card.dataset.ref);
+            goToStep(6);
+        });
+    });
+    container.querySelectorAll('[data-stage]').forEach(column => {
+        column.addEventListener('dragover', (e) => e.preventDefault());
+        column.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const refId = e.dataTransfer.getData('text/plain');
+            if (refId) moveTo(refId, column.dataset.stage);
+        });
+    });
+    container.querySelectorAll('[data-move]').forEach(select => select.addEventListener('change', () => moveTo(select.dataset.move, select.value)));
+    container.querySelectorAll('[data-message-stage]').forEach(btn => btn.addEventListener('click', () => {
+        const stage = btn.dataset.messageStage;
+        openMessageComposer(state.candidates.filter(c => Pipeline.stageOf(c.refId) === stage), { kind: MessageTemplates.kindForStage(stage) });
+    }));
+}
+
+// Stage, rating and notes on the candidate detail page
+function renderPipelinePanel(cand) {
+    const record = Pipeline.of(cand.refId);
+    const mine = record.ratings[IdentityAccess.getReviewer()] || 0;
+    const rating = Pipeline.averageRating(cand.refId);
+    return `
+        <div style="border-top: 1px solid var(--border-color); margin-top: 1.5rem; padding-top: 1.5rem;">
+            <h4 style="margin-top: 0;">Pipeline</h4>
+            <select id="pipeline-stage" style="width: 100%; padding: 0.5rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+                ${Object.entries(Pipeline.stages).map(([id, label]) => `<option value="${id}" ${id === record.stage ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            ${record.stage === 'rejected' ? `<p style="font-size: 0.85rem; color: var(--red-color); margin: 0.5rem 0 0;">Reason: ${escapeHtml(record.reason)}</p>` : ''}
+
+            <div style="margin-top: 1rem; display: flex; align-items: center; gap: 0.25rem;">
+                ${Array.from({ length: Pipeline.maxRating }, (_, i) => `
+                    <button data-rate="${i + 1}" class="icon-btn" title="Rate ${i + 1}" style="font-size: 1.3rem; color: ${i < mine ? 'var(--gold-color)' : 'var(--border-color)'};">★</button>
+                `).join('')}
+                <span style="font-size: 0.8rem; color: var(--text-muted); margin-left: 0.5rem;">
+                    ${rating !== null ? `Average ${rating} from ${Object.keys(record.ratings).length} reviewer(s)` : 'Not rated yet'}
+                </span>
+            </div>
+
+            ${record.interviews.length ? `
+                <h4 style="margin-bottom: 0.5rem;">Interviews</h4>
+                ${[...record.interviews].sort((a, b) => b.startMs - a.startMs).map(interview => {
+                    const upcoming = interview.status === 'scheduled' && interview.endMs > Date.now();
+                    return `
+                        <div style="font-size: 0.85rem; margin-bottom: 0.75rem; ${interview.status === 'cancelled' ? 'text-decoration: line-through; color: var(--text-muted);' : ''}">
+                            📅 ${formatInterviewTime(interview)}${interview.panel?.length ? ` · ${interview.panel.length + 1} interviewers` : ''}
+                            ${interview.meetLink && upcoming ? ` · <a href="${escapeHtml(interview.meetLink)}" target="_blank" rel="noopener">Join</a>` : ''}
+                            ${interview.rescheduled?.length ? `<div style="font-size: 0.75rem; color: var(--text-muted);">Rescheduled ${interview.rescheduled.length}×</div>` : ''}
+                            ${upcoming ? `
+                                <div style="margin-top: 0.25rem; display: flex; gap: 0.75rem;">
+                                    <button data-reschedule="${escapeHtml(interview.eventId)}" class="icon-btn" style="font-size: 0.8rem; color: var(--primary-color);">Reschedule</button>
+                                    <button data-cancel-interview="${escapeHtml(interview.eventId)}" class="icon-btn" style="font-size: 0.8rem; color: var(--red-color);">Cancel</button>
+                                </div>
+                            ` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            ` : ''}
+
+            <h4 style="margin-bottom: 0.5rem;">Messages</h4>
+            ${[...record.messages].reverse().map(message => `
+                <div style="font-size: 0.85rem; margin-bottom: 0.5rem;">
+                    ✉️ ${MessageTemplates.kinds[message.kind]?.label || message.kind} (${MessageTemplates.languages[message.language] || message.language}) · ${MessageTemplates.channels[message.channel] || message.channel}
+                    <div style="color: var(--text-muted); font-size: 0.75rem;">${escapeHtml(message.by)} · ${new Date(message.at).toLocaleString()}</div>
                 </div>
+            `).join('') || '<p style="font-size: 0.85rem; color: var(--text-muted);">No messages sent yet.</p>'}
+            <button id="pipeline-message-btn" class="icon-btn" style="font-size: 0.85rem; color: var(--primary-color);">Email candidate</button>
+
+            <h4 style="margin-bottom: 0.5rem;">Notes</h4>
+            <div style="max-height: 240px; overflow-y: auto;">
+                ${[...record.notes].reverse().map(note => `
+                    <div style="font-size: 0.85rem; margin-bottom: 0.75rem;">
+                        <div style="color: var(--text-muted); font-size: 0.75rem;">${escapeHtml(note.by)} · ${new Date(note.at).toLocaleString()}</div>
+                        <div style="white-space: pre-wrap;">${escapeHtml(note.text)}</div>
+                    </div>
+                `).join('') || '<p style="font-size: 0.85rem; color: var(--text-muted);">No notes yet.</p>'}
             </div>
+            <textarea id="pipeline-note" rows="3" placeholder="Add a note" style="width: 100%; box-sizing: border-box; padding: 0.5rem; border: 1px solid var(--border-color); border-radius: var(--radius-md); font-family: inherit;"></textarea>
+            <button id="pipeline-note-btn" class="primary-btn" style="width: 100%; margin-top: 0.5rem;">Add Note</button>
+
+            ${record.history.length ? `
+                <details style="margin-top: 1rem; font-size: 0.8rem; color: var(--text-muted);">
+                    <summary>Stage history</summary>
+                    ${record.history.map(h => `<div>${new Date(h.at).toLocaleString()}: ${Pipeline.stages[h.stage]}${h.reason ? ` (${escapeHtml(h.reason)})` : ''}${h.by ? ` by ${escapeHtml(h.by)}` : ''}</div>`).join('')}
+                </details>
+            ` : ''}
         </div>
-        <button id="next-step-btn" class="primary-btn" style="margin-top: 2rem; display: none;">Proceed to Candidate Upload</button>
     `;
-    contentArea.appendChild(container);
+}
 
-    const list = document.getElementById('analysis-results');
-    const extractDot = document.getElementById('step-extract');
-    const detailsDiv = document.getElementById('jd-details');
-    const nextBtn = document.getElementById('next-step-btn');
+function bindPipelinePanel(cand) {
+    const stageSelect = document.getElementById('pipeline-stage');
+    stageSelect.addEventListener('change', async () => {
+        await moveCandidates([cand.refId], stageSelect.value);
+        renderView(6);
+    });
+    document.querySelectorAll('[data-rate]').forEach(btn => btn.addEventListener('click', async () => {
+        const by = currentReviewer();
+        if (!by) return;
+        Pipeline.rate(cand.refId, btn.dataset.rate, by);
+        await persistRequisition();
+        renderView(6);
+    }));
+    document.getElementById('pipeline-note-btn').addEventListener('click', async () => {
+        const text = document.getElementById('pipeline-note').value;
+        if (!text.trim()) return;
+        const by = currentReviewer();
+        if (!by) return;
+        Pipeline.addNote(cand.refId, text, by);
+        await persistRequisition();
+        renderView(6);
+    });
+    document.getElementById('pipeline-message-btn').addEventListener('click', () => openMessageComposer([cand]));
+    const interviewOf = (eventId) => Pipeline.of(cand.refId).interviews.find(i => i.eventId === eventId);
+    document.querySelectorAll('[data-reschedule]').forEach(btn => btn.addEventListener('click', () =>
+        openScheduling(cand, { mode: 'reschedule', interview: interviewOf(btn.dataset.reschedule) })));
+    document.querySelectorAll('[data-cancel-interview]').forEach(btn => btn.addEventListener('click', () =>
+        openScheduling(cand, { mode: 'cancel', interview: interviewOf(btn.dataset.cancelInterview) })));
+}
 
-    try {
-        // 1. Extract Text
-        const text = await AIService.extractText(state._rawJDFile);
-        extractDot.classList.remove('pulsing');
-        extractDot.style.backgroundColor = 'var(--success-color)';
+// --- Interview Scheduling ---
+// The schedule view (index.html) owns calendar sign-in and providers. The detail page hands
+// it a candidate through a `schedule:open` DOM event, with contact details fetched from the
+// vault for the 'schedule_prefill' purpose; the view answers with `schedule:booked`,
+// `schedule:cancelled`, `schedule:emailed` and `schedule:back`.
 
-        list.innerHTML += `<li style="margin-bottom: 1rem; display: flex; align-items: center; gap: 1rem; animation: fadeIn 0.5s;">
-            <span id="step-ai" class="status-dot pulsing"></span> Sending to AI for analysis...</li>`;
+async function openScheduling(cand, { mode = 'book', interview = null } = {}) {
+    const granted = await requestIdentityAccess([cand], 'schedule_prefill');
+    if (!granted || !granted.has(cand.refId)) return;
+    const identity = granted.get(cand.refId);
+    if (!identity.email) alert(`No email address is stored for ${cand.alias}; enter it in the schedule view.`);
+    document.dispatchEvent(new CustomEvent('schedule:open', {
+        detail: {
+            refId: cand.refId,
+            alias: cand.alias,
+            name: identity.realName || '',
+            email: identity.email || '',
+            jobTitle: state.jobDescription?.title || '',
+            mode,
+            interview
+        }
+    }));
+}
 
-        // 2. Call AI
-        const analysis = await AIService.analyzeJD(text);
-        state.jobDescription = analysis;
+document.addEventListener('schedule:booked', async (e) => {
+    const { refId, interview, replaces } = e.detail;
+    const cand = state.candidates.find(c => c.refId === refId);
+    if (!cand) return; // Booked for a requisition that is no longer open
+    Pipeline.recordInterview(refId, interview, { replaces, by: IdentityAccess.getReviewer() });
+    await persistRequisition();
+    log(`${replaces ? 'Rescheduled' : 'Booked'} an interview for ${cand.alias} on ${formatInterviewTime(interview)}.`);
+});
 
-        const aiDot = document.getElementById('step-ai');
-        aiDot.classList.remove('pulsing');
-        aiDot.style.backgroundColor = 'var(--success-color)';
+document.addEventListener('schedule:cancelled', async (e) => {
+    const { refId, eventId } = e.detail;
+    const cand = state.candidates.find(c => c.refId === refId);
+    if (!cand) return;
+    Pipeline.cancelInterview(refId, eventId, { by: IdentityAccess.getReviewer() });
+    await persistRequisition();
+    log(`Cancelled an interview for ${cand.alias}.`);
+});
 
-        list.innerHTML += `<li style="margin-bottom: 1rem; display: flex; align-items: center; gap: 1rem; animation: fadeIn 0.5s;">
-            <span class="status-dot" style="background: var(--success-color)"></span> Job Description Analyzed!</li>`;
+document.addEventListener('schedule:emailed', async (e) => {
+    const { refId, kind, language } = e.detail;
+    if (!state.candidates.some(c => c.refId === refId)) return;
+    Pipeline.recordMessage(refId, { kind, language, channel: 'mailto', by: IdentityAccess.getReviewer() });
+    await persistRequisition();
+});
 
-        // 3. UI Update
-        document.getElementById('extracted-title').textContent = analysis.title;
-        document.getElementById('extracted-skills').innerHTML = analysis.skills.map(s =>
-            `<span style="background: rgba(59, 130, 246, 0.1); color: var(--primary-color); padding: 0.2rem 0.6rem; border-radius: 4px; font-size: 0.8rem;">${s}</span>`
-        ).join('');
-        document.getElementById('extracted-exp').textContent = analysis.experience;
+document.addEventListener('schedule:back', (e) => {
+    const cand = state.candidates.find(c => c.refId === e.detail.refId);
+    if (!cand) return;
+    state.viewingCandidate = cand;
+    goToStep(6);
+});
 
-        detailsDiv.style.display = 'block';
-        nextBtn.style.display = 'block';
+// --- Candidate Messages ---
+// The composer works on one candidate or a whole stage. Names and addresses are granted
+// from the vault for the 'messaging' purpose and are only held while it is open; the
+// pipeline records which template went out, in which language and how.
 
-    } catch (error) {
-        log(`Error: ${error.message}`);
-        list.innerHTML += `<li style="color: #f87171; margin-top: 1rem;">⚠️ ${error.message}</li>`;
-        // Add retry button if key is missing
-        if (error.message.includes("API Key")) {
-            const retryBtn = document.createElement('button');
-            retryBtn.className = 'primary-btn';
-            retryBtn.style.marginTop = '1rem';
-            retryBtn.textContent = 'Enter API Key';
-            retryBtn.onclick = () => document.getElementById('open-settings').click();
-            container.appendChild(retryBtn);
-        }
-    }
+async function openMessageComposer(candidates, { kind = null } = {}) {
+    if (!candidates.length) return;
+    const granted = await requestIdentityAccess(candidates, 'messaging');
+    if (!granted || !granted.size) return;
+    const recipients = candidates.filter(cand => granted.has(cand.refId)).map(cand => ({ cand, identity: granted.get(cand.refId) }));
 
-    nextBtn.addEventListener('click', () => goToStep(3));
-}
+    const overlay = document.getElementById('message-overlay');
+    const title = document.getElementById('message-title');
+    const summary = document.getElementById('message-summary');
+    const kindSelect = document.getElementById('message-kind');
+    const languageSelect = document.getElementById('message-language');
+    const companyInput = document.getElementById('message-company');
+    const subjectInput = document.getElementById('message-subject');
+    const bodyInput = document.getElementById('message-body');
+    const placeholdersText = document.getElementById('message-placeholders');
+    const saveBtn = document.getElementById('message-save-btn');
+    const resetBtn = document.getElementById('message-reset-btn');
+    const previewSelect = document.getElementById('message-preview-recipient');
+    const preview = document.getElementById('message-preview');
+    const missingText = document.getElementById('message-missing');
+    const queue = document.getElementById('message-queue');
+    const emlBtn = document.getElementById('message-eml-btn');
+    const mailtoBtn = document.getElementById('message-mailto-btn');
 
+    const settings = MessageTemplates.getSettings();
+    const lastLanguage = recipients.length === 1 ? Pipeline.of(recipients[0].cand.refId).messages.at(-1)?.language : null;
+    const current = {
+        kind: kind || MessageTemplates.kindForStage(Pipeline.stageOf(recipients[0].cand.refId)),
+        language: lastLanguage || settings.language
+    };
+    let sent = false;
 
-async function renderMatchingView() {
-    const container = document.createElement('div');
-    container.className = 'animate-fade-in';
-    container.innerHTML = `
-        <h2>AI Matching & Analysis</h2>
-        <div style="margin-top: 2rem; padding: 2rem; background: var(--surface-color); border-radius: var(--radius-md); border: 1px solid var(--border-color);">
-            <div id="processing-status" style="margin-bottom: 2rem;">
-                <p id="overall-status" style="color:var(--text-main); font-weight:500;">Initializing AI analysis engine...</p>
-                <div style="width:100%; height:4px; background:rgba(255,255,255,0.1); border-radius:2px; margin-top:10px; overflow:hidden;">
-                    <div id="progress-bar" style="width:0%; height:100%; background:var(--primary-color); transition: width 0.3s ease;"></div>
-                </div>
-            </div>
-            <div id="match-progress-list" style="display: flex; flex-direction: column; gap: 1rem;"></div>
-        </div>
-        <button id="proceed-to-overview-btn" class="primary-btn" style="margin-top:2rem; display:none;">View Comparison Table</button>
-    `;
-    contentArea.appendChild(container);
+    title.textContent = recipients.length === 1 ? `Message ${recipients[0].cand.alias}` : `Message ${recipients.length} Candidates`;
+    kindSelect.innerHTML = Object.entries(MessageTemplates.kinds).map(([id, { label }]) => `<option value="${id}">${label}</option>`).join('');
+    languageSelect.innerHTML = Object.entries(MessageTemplates.languages).map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+    previewSelect.innerHTML = recipients.map(({ cand }, i) => `<option value="${i}">${escapeHtml(cand.alias)}</option>`).join('');
+    placeholdersText.innerHTML = 'Placeholders: ' + Object.entries(MessageTemplates.placeholders)
+        .map(([key, description]) => `<code title="${escapeHtml(description)}">{{${key}}}</code>`).join(' ');
+    companyInput.value = settings.company;
+    queue.innerHTML = '';
 
-    const progressList = document.getElementById('match-progress-list');
-    const overallStatus = document.getElementById('overall-status');
-    const progressBar = document.getElementById('progress-bar');
-    const proceedBtn = document.getElementById('proceed-to-overview-btn');
+    // Filled-in message for one recipient, with the reason it cannot be sent (if any). On screen,
+    // candidates who were never revealed keep their alias: `anonymous` leaves the name placeholders
+    // as written and hides the address, which only go into the draft itself.
+    const messageFor = ({ cand, identity }, { anonymous = false } = {}) => {
+        const values = MessageTemplates.values({
+            name: identity.realName || '',
+            alias: cand.alias,
+            jobTitle: state.jobDescription?.title || '',
+            interview: Pipeline.upcomingInterviews(cand.refId)[0] || null,
+            requirements: cand.requirements || [],
+            sender: IdentityAccess.getReviewer(),
+            language: current.language
+        });
+        if (anonymous) ['candidate.name', 'candidate.firstName'].forEach(key => { values[key] = `{{${key}}}`; });
+        const message = MessageTemplates.fill({ subject: subjectInput.value, body: bodyInput.value }, values);
+        if (anonymous) return { ...message, to: identity.email ? `${cand.alias} (address hidden until reveal)` : '', toName: '' };
+        const problem = !identity.email ? 'no email address in the vault'
+            : message.missing.length ? `nothing to fill ${message.missing.map(key => `{{${key}}}`).join(', ')} with` : '';
+        return { ...message, to: identity.email || '', toName: identity.realName || '', problem };
+    };
+    const sendable = () => recipients.filter(recipient => !messageFor(recipient).problem);
 
-    state.candidates = []; // Clear existing
-    const files = state._rawCVFiles || [];
+    const refresh = () => {
+        const shown = recipients[Number(previewSelect.value) || 0];
+        const message = messageFor(shown);
+        const onScreen = shown.cand.revealed ? message : messageFor(shown, { anonymous: true });
+        preview.textContent = `To: ${onScreen.to || '—'}\nSubject: ${onScreen.subject}\n\n${onScreen.body}`;
+        missingText.textContent = message.problem ? `Cannot be sent to ${shown.cand.alias}: ${message.problem}.` : '';
+        const skipped = recipients.filter(recipient => messageFor(recipient).problem);
+        summary.textContent = `${recipients.length - skipped.length} of ${recipients.length} ready to send.` +
+            (skipped.length ? ` Left out: ${skipped.map(({ cand }) => cand.alias).join(', ')} (preview them to see why).` : '');
+        emlBtn.disabled = mailtoBtn.disabled = skipped.length === recipients.length;
+    };
 
-    for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        const progress = ((i / files.length) * 100).toFixed(0);
-        progressBar.style.width = `${progress}%`;
-        overallStatus.textContent = `Processing CV ${i + 1} of ${files.length}...`;
+    const loadTemplate = () => {
+        kindSelect.value = current.kind;
+        languageSelect.value = current.language;
+        const template = MessageTemplates.get(current.kind, current.language);
+        subjectInput.value = template.subject;
+        bodyInput.value = template.body;
+        resetBtn.disabled = !template.custom;
+        queue.innerHTML = '';
+        refresh();
+    };
 
-        const item = document.createElement('div');
-        item.style.cssText = 'display:flex; align-items:center; gap:1rem; padding:1rem; background:rgba(255,255,255,0.03); border-radius:8px; animation:fadeIn 0.3s;';
-        item.innerHTML = `<span class="status-dot pulsing"></span> Extracting & Analyzing ${file.name}...`;
-        progressList.appendChild(item);
+    const record = async (entries, channel) => {
+        const by = IdentityAccess.getReviewer();
+        entries.forEach(({ cand }) => Pipeline.recordMessage(cand.refId, { kind: current.kind, language: current.language, channel, by }));
+        MessageTemplates.saveSettings({ language: current.language });
+        await persistRequisition();
+        sent = true;
+        const what = `${MessageTemplates.kinds[current.kind].label} (${MessageTemplates.languages[current.language]})`;
+        log(channel === 'eml' ? `${what} drafted as .eml for ${entries.length} candidate(s).` : `${what} opened in the mail app for ${entries[0].cand.alias}.`);
+    };
 
+    kindSelect.onchange = () => {
+        current.kind = kindSelect.value;
+        loadTemplate();
+    };
+    languageSelect.onchange = () => {
+        current.language = languageSelect.value;
+        loadTemplate();
+    };
+    subjectInput.oninput = bodyInput.oninput = previewSelect.onchange = refresh;
+    companyInput.oninput = () => {
+        MessageTemplates.saveSettings({ company: companyInput.value.trim() });
+        refresh();
+    };
+    saveBtn.onclick = () => {
         try {
-            // 1. Text Extraction & Analysis
-            const text = await AIService.extractText(file);
-            const analysis = await AIService.analyzeCV(text);
-
-            // 2. Vault storage
-            const refId = vault.store({
-                realName: analysis.realName,
-                email: analysis.email,
-                phone: analysis.phone,
-                originalFile: file.name
-            });
+            MessageTemplates.save(current.kind, current.language, { subject: subjectInput.value, body: bodyInput.value });
+            resetBtn.disabled = false;
+            log(`Saved the ${MessageTemplates.kinds[current.kind].label} template (${MessageTemplates.languages[current.language]}).`);
+        } catch (e) {
+            alert(e.message);
+        }
+    };
+    resetBtn.onclick = () => {
+        if (!confirm('Restore the built-in text for this template and language?')) return;
+        MessageTemplates.reset(current.kind, current.language);
+        loadTemplate();
+    };
 
-            // 3. Match Scoring
-            item.innerHTML = `<span class="status-dot pulsing" style="background:var(--primary-color)"></span> Comparing ${file.name} to Job Description...`;
-            const fit = await AIService.compareFit(state.jobDescription, {
-                summary: analysis.summary,
-                skills: analysis.skills
-            });
+    emlBtn.onclick = async () => {
+        const entries = sendable();
+        if (!entries.length) return;
+        // Browsers block a burst of downloads, so several drafts go out as one .zip
+        const drafts = entries.map(entry => ({
+            name: `${current.kind}_${entry.cand.alias.replace(/[^\w-]+/g, '_')}.eml`,
+            data: MessageTemplates.toEml(messageFor(entry))
+        }));
+        if (drafts.length === 1) {
+            downloadFile(new Blob([drafts[0].data], { type: 'message/rfc822' }), drafts[0].name);
+        } else {
+            downloadFile(ZipWriter.build(drafts), `${current.kind}_${current.language}_drafts.zip`);
+        }
+        await record(entries, 'eml');
+        queue.innerHTML = `<p class="helper-text">${drafts.length === 1 ? 'Draft downloaded. Open it in your mail app to send it.'
+            : `${drafts.length} drafts downloaded as one .zip. Unzip it and open each draft in your mail app to send it.`}</p>`;
+    };
 
-            const cand = {
-                refId: refId,
-                alias: `Candidate ${Math.random().toString(36).substr(2, 5).toUpperCase()}`,
-                score: fit.score,
-                skills: analysis.skills,
-                details: analysis.summary,
-                justification: fit.justification,
-                revealed: false
-            };
-            state.candidates.push(cand);
+    // Browsers open one compose window per click, so the queue is worked through by hand
+    mailtoBtn.onclick = () => {
+        const entries = sendable();
+        queue.innerHTML = `
+            <h4 style="margin: 0 0 0.5rem;">Mailto queue</h4>
+            ${entries.map(({ cand, identity }, i) => `
+                <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.4rem 0; border-bottom: 1px solid var(--border-color); font-size: 0.9rem;">
+                    <span>${escapeHtml(cand.alias)}${cand.revealed ? ` · ${escapeHtml(identity.email)}` : ''}</span>
+                    <button data-mailto="${i}" class="icon-btn" style="font-size: 0.85rem; color: var(--primary-color);">Open</button>
+                </div>
+            `).join('')}
+        `;
+        queue.querySelectorAll('[data-mailto]').forEach(btn => btn.addEventListener('click', async () => {
+            const entry = entries[Number(btn.dataset.mailto)];
+            const message = messageFor(entry);
+            if (message.problem) {
+                alert(`Cannot be sent to ${entry.cand.alias}: ${message.problem}.`);
+                return;
+            }
+            window.location.href = MessageTemplates.mailtoUrl(message);
+            btn.textContent = 'Opened ✓';
+            btn.disabled = true;
+            await record([entry], 'mailto');
+        }));
+    };
+
+    document.getElementById('close-message').onclick = () => {
+        overlay.style.display = 'none';
+        if (sent && state.step === 6) renderView(6);
+    };
 
-            // 4. Update UI
-            item.querySelector('.status-dot').classList.remove('pulsing');
-            item.querySelector('.status-dot').style.backgroundColor = 'var(--success-color)';
-            item.innerHTML = `<span class="status-dot" style="background:var(--success-color)"></span> ${cand.alias}: ${fit.score}% Match
-                             <p style="margin:0.25rem 0 0 2rem; font-size:0.8rem; color:var(--text-muted);">${fit.justification}</p>`;
+    loadTemplate();
+    overlay.style.display = 'flex';
+}
 
+// Generates (or regenerates) the candidate's interview kit. Local scoring uses the built-in
+// generator; otherwise the model is asked and the built-in kit is the fallback.
+async function prepareInterviewKit(cand, { regenerate = false } = {}) {
+    if (cand.interviewKit && !regenerate) return cand.interviewKit;
+    const jd = state.jobDescription || {};
+    let kit = null;
+    let source = 'local';
+    if (AIService.getSettings().scoringMode !== 'local') {
+        try {
+            kit = await AIService.generateInterviewKit(jd, cand);
+            source = 'model';
         } catch (e) {
-            log(`Error processing ${file.name}: ${e.message}`);
-            item.innerHTML = `<span class="status-dot" style="background:#f87171"></span> Error: ${file.name} (Skipped)`;
+            log(`Interview kit from the model failed, using the built-in one: ${e.message}`);
         }
     }
-
-    progressBar.style.width = '100%';
-    overallStatus.textContent = "AI Analysis & Matching Complete!";
-    proceedBtn.style.display = 'block';
-    proceedBtn.onclick = () => goToStep(5);
+    cand.interviewKit = { ...(kit || InterviewKit.build(jd, cand)), source, generatedAt: new Date().toISOString() };
+    await persistRequisition();
+    return cand.interviewKit;
 }
 
+// Questions, scorecard and the feedback form. Submitted feedback sets the interviewer's
+// rating and, with their confirmation, moves the candidate on or rejects them.
+async function renderInterviewKitView(cand, { regenerate = false } = {}) {
+    contentArea.innerHTML = '<p style="color: var(--text-muted);">Preparing interview kit...</p>';
+    const kit = await prepareInterviewKit(cand, { regenerate });
+    const record = Pipeline.of(cand.refId);
+    const interviewScore = InterviewKit.score(record.feedback);
+    const groups = [
+        ['gap', 'Gaps to probe'],
+        ['verification', 'Verify claimed skills'],
+        ['general', 'General']
+    ].map(([kind, title]) => [title, kit.questions.filter(q => q.kind === kind)]).filter(([, questions]) => questions.length);
+    const cell = 'padding: 0.6rem; border-bottom: 1px solid var(--border-color); vertical-align: top;';
 
-function renderOverviewView() {
+    contentArea.innerHTML = '';
     const container = document.createElement('div');
     container.className = 'animate-fade-in';
     container.innerHTML = `
-        <h2>Candidate Comparison Table</h2>
-        <p style="color: var(--text-muted); margin-bottom: 2rem;">Select candidates to proceed to the interview stage.</p>
-        <div style="margin-bottom: 1rem;">
-            <button id="back-btn1" style="background:none; border:none; color: var(--text-muted); cursor: pointer; display: flex; align-items: center; gap: 0.5rem; font-size: 1rem;">
-                <span class="material-icons-round">arrow_back</span> Back
+        <div style="margin-bottom: 1rem; display: flex; justify-content: space-between; align-items: center;">
+            <button id="kit-back-btn" style="background:none; border:none; color: var(--text-muted); cursor: pointer; display: flex; align-items: center; gap: 0.5rem; font-size: 1rem;">
+                <span class="material-icons-round">arrow_back</span> Back to ${cand.alias}
             </button>
+            <button id="kit-regenerate-btn" class="icon-btn" style="font-size: 0.9rem; color: var(--primary-color);">Regenerate</button>
         </div>
-        <div style="background: var(--surface-color); border-radius: var(--radius-md); border: 1px solid var(--border-color); overflow: hidden;">
-            <table style="width: 100%; border-collapse: collapse;">
+        <h2 style="margin-bottom: 0.25rem;">Interview Kit: ${cand.alias}</h2>
+        <p style="color: var(--text-muted); margin-top: 0;">
+            ${escapeHtml(state.jobDescription?.title || '')} · ${cand.score}% match · ${kit.source === 'model' ? 'Generated by the model' : 'Built-in generator'}, ${new Date(kit.generatedAt).toLocaleString()}
+            ${interviewScore !== null ? ` · Interview score ${interviewScore}% from ${record.feedback.length} interviewer(s)` : ''}
+        </p>
+
+        <div style="background: var(--surface-color); padding: 1.5rem 2rem; border-radius: var(--radius-lg); border: 1px solid var(--border-color); margin-bottom: 1.5rem;">
+            ${groups.map(([title, questions]) => `
+                <h3 style="color: var(--secondary-color);">${title}</h3>
+                <ol style="padding-left: 1.25rem; line-height: 1.5;">
+                    ${questions.map(q => `
+                        <li style="margin-bottom: 1rem;">
+                            <div style="font-size: 0.8rem; color: var(--text-muted);">${escapeHtml(q.topic)}</div>
+                            <div>${escapeHtml(q.question)}</div>
+                            ${q.lookFor ? `<div style="font-size: 0.85rem; color: var(--text-muted); font-style: italic;">Look for: ${escapeHtml(q.lookFor)}</div>` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+            `).join('')}
+        </div>
+
+        <div style="background: var(--surface-color); padding: 1.5rem 2rem; border-radius: var(--radius-lg); border: 1px solid var(--border-color); margin-bottom: 1.5rem;">
+            <h3 style="color: var(--secondary-color); margin-top: 0;">Scorecard</h3>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
                 <thead>
-                    <tr style="background: rgba(255,255,255,0.05); text-align: left;">
-                        <th style="padding: 1rem; border-bottom: 1px solid var(--border-color);">Select</th>
-                        <th style="padding: 1rem; border-bottom: 1px solid var(--border-color);">Alias</th>
-                        <th style="padding: 1rem; border-bottom: 1px solid var(--border-color);">Match Score</th>
-                        <th style="padding: 1rem; border-bottom: 1px solid var(--border-color);">Key Skills</th>
-                        <th style="padding: 1rem; border-bottom: 1px solid var(--border-color);">Actions</th>
+                    <tr style="text-align: left;">
+                        <th style="${cell}">Criterion</th><th style="${cell}">1 · Poor</th><th style="${cell}">3 · Meets</th><th style="${cell}">5 · Strong</th><th style="${cell}">Rating</th>
                     </tr>
                 </thead>
-                <tbody id="candidates-table-body">
+                <tbody>
+                    ${kit.scorecard.map((row, i) => `
+                        <tr>
+                            <td style="${cell} font-weight: 500;">${escapeHtml(row.criterion)}</td>
+                            <td style="${cell} color: var(--text-muted);">${escapeHtml(row.poor)}</td>
+                            <td style="${cell} color: var(--text-muted);">${escapeHtml(row.meets)}</td>
+                            <td style="${cell} color: var(--text-muted);">${escapeHtml(row.strong)}</td>
+                            <td style="${cell} white-space: nowrap;">
+                                <select data-criterion="${i}" style="padding: 0.3rem;">
+                                    <option value="">–</option>
+                                    ${[1, 2, 3, 4, 5].map(n => `<option value="${n}">${n}</option>`).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
                 </tbody>
             </table>
-        </div>
 
-        <div style="margin-top: 1.5rem; display: flex; justify-content: space-between; align-items: center;">
-            <p id="selection-count" style="color: var(--text-muted); margin: 0;">0 candidates selected</p>
-            <button id="batch-reveal-btn" class="primary-btn" disabled>Proceed with Selected</button>
+            <h4>Interview feedback</h4>
+            <textarea id="kit-feedback-notes" rows="4" placeholder="Evidence heard, concerns, follow-ups" style="width: 100%; box-sizing: border-box; padding: 0.75rem; border: 1px solid var(--border-color); border-radius: var(--radius-md); font-family: inherit;"></textarea>
+            <div style="display: flex; gap: 1rem; align-items: center; margin-top: 0.75rem;">
+                <select id="kit-recommendation" style="padding: 0.6rem; border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+                    <option value="">Recommendation...</option>
+                    ${Object.entries(InterviewKit.recommendations).map(([id, label]) => `<option value="${id}">${label}</option>`).join('')}
+                </select>
+                <button id="kit-submit-btn" class="primary-btn">Submit Feedback</button>
+                <span id="kit-error" style="color: var(--red-color); font-size: 0.85rem;"></span>
+            </div>
         </div>
+
+        ${record.feedback.length ? `
+            <div style="background: var(--surface-color); padding: 1.5rem 2rem; border-radius: var(--radius-lg); border: 1px solid var(--border-color);">
+                <h3 style="color: var(--secondary-color); margin-top: 0;">Submitted feedback</h3>
+                ${record.feedback.map(entry => `
+                    <div style="border-top: 1px solid var(--border-color); padding: 0.75rem 0; font-size: 0.9rem;">
+                        <strong>${escapeHtml(entry.by)}</strong> · ${new Date(entry.at).toLocaleString()} · ${InterviewKit.recommendations[entry.recommendation]}
+                        ${InterviewKit.stars(entry) ? ` · <span style="color: var(--gold-color);">★ ${InterviewKit.stars(entry)}</span>` : ''}
+                        ${entry.notes ? `<div style="white-space: pre-wrap; color: var(--text-muted); margin-top: 0.25rem;">${escapeHtml(entry.notes)}</div>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
     `;
     contentArea.appendChild(container);
-    document.getElementById('back-btn1').addEventListener('click', () => goToStep(4));
-    const tbody = document.getElementById('candidates-table-body');
-    const countLabel = document.getElementById('selection-count');
-    const proceedBtn = document.getElementById('batch-reveal-btn');
-
-    const updateSelectionUI = () => {
-        const count = state.selectedCandidates.size;
-        countLabel.textContent = `${count} candidates selected`;
-        proceedBtn.disabled = count === 0;
-        proceedBtn.style.opacity = count === 0 ? '0.5' : '1';
-    };
 
-    state.candidates.forEach(cand => {
-        const tr = document.createElement('tr');
-        tr.style.borderBottom = '1px solid var(--border-color)';
+    document.getElementById('kit-back-btn').addEventListener('click', () => renderView(6));
+    document.getElementById('kit-regenerate-btn').addEventListener('click', () => {
+        if (confirm('Replace this interview kit with a newly generated one? Submitted feedback is kept.')) renderInterviewKitView(cand, { regenerate: true });
+    });
+    document.getElementById('kit-submit-btn').addEventListener('click', async () => {
+        const errorText = document.getElementById('kit-error');
+        const recommendation = document.getElementById('kit-recommendation').value;
+        const ratings = {};
+        container.querySelectorAll('[data-criterion]').forEach(select => {
+            if (select.value) ratings[kit.scorecard[select.dataset.criterion].criterion] = Number(select.value);
+        });
+        if (!Object.keys(ratings).length || !recommendation) {
+            errorText.textContent = 'Rate at least one criterion and choose a recommendation.';
+            return;
+        }
+        const by = currentReviewer();
+        if (!by) return;
+        Pipeline.addFeedback(cand.refId, { ratings, recommendation, notes: document.getElementById('kit-feedback-notes').value, by });
 
-        const isSelected = state.selectedCandidates.has(cand.refId);
-        const badgeClass = cand.score >= 90 ? 'high' : (cand.score >= 75 ? 'medium' : 'low');
+        // Feedback means the interview happened; the recommendation may move things on
+        const stage = Pipeline.stageOf(cand.refId);
+        if (['new', 'screened', 'shortlisted'].includes(stage)) Pipeline.move(cand.refId, 'interview', { by });
+        if (recommendation === 'advance' && Pipeline.stageOf(cand.refId) === 'interview' && confirm(`Move ${cand.alias} to Offer?`)) {
+            Pipeline.move(cand.refId, 'offer', { by });
+        }
+        if (recommendation === 'reject' && confirm(`Reject ${cand.alias} based on this feedback?`)) {
+            Pipeline.move(cand.refId, 'rejected', { reason: 'Not recommended after interview', by });
+        }
+        await persistRequisition();
+        log(`Interview feedback recorded for ${cand.alias}.`);
+        renderInterviewKitView(cand);
+    });
+}
 
-        tr.innerHTML = `
-            <td style="padding: 1rem;">
-                <input type="checkbox" class="select-cand-cb" value="${cand.refId}" ${isSelected ? 'checked' : ''} style="width: 18px; height: 18px; cursor: pointer;">
-            </td>
-            <td style="padding: 1rem; font-weight: 500;">${cand.alias}</td>
-            <td style="padding: 1rem;">
-                <span class="match-badge ${badgeClass}">${cand.score}%</span>
-            </td>
-            <td style="padding: 1rem; color: var(--text-muted); font-size: 0.9rem;">
-                ${cand.skills.join(', ')}
-            </td>
-            <td style="padding: 1rem;">
-                <button class="view-btn" style="background: transparent; border: 1px solid var(--primary-color); color: var(--primary-color); padding: 0.4rem 0.8rem; border-radius: 6px; cursor: pointer; font-size: 0.85rem;">
-                    View Details
-                </button>
-            </td>
-        `;
+// Duplicate flags that still point at a candidate in this requisition and were not dismissed
+function openDuplicates(cand) {
+    return (cand.duplicates || []).filter(dup =>
+        !(cand.notDuplicateOf || []).includes(dup.refId) && state.candidates.some(c => c.refId === dup.refId));
+}
 
-        // Checkbox Handler
-        const cb = tr.querySelector('.select-cand-cb');
-        cb.addEventListener('change', (e) => {
-            if (e.target.checked) state.selectedCandidates.add(cand.refId);
-            else state.selectedCandidates.delete(cand.refId);
-            updateSelectionUI();
-        });
+// Keeps the newer CV of the two, by when it was sent or saved (processing order only breaks
+// ties). The other candidate is removed from the requisition (its vault record too) and
+// remembered as a previous version.
+async function mergeCandidates(a, b) {
+    const received = (cand) => `${cand.receivedAt || cand.processedAt || ''}|${cand.processedAt || ''}`;
+    const [latest, older] = received(a) >= received(b) ? [a, b] : [b, a];
+    if (!confirm(`Merge ${older.alias} into ${latest.alias}?\n\nThe latest CV (${latest.alias}) is kept. ${older.alias} is removed from this requisition and listed as a previous version.`)) return false;
+    if (!(await ensureVaultUnlocked())) return false;
 
-        // View Detail Handler
-        tr.querySelector('.view-btn').addEventListener('click', () => {
-            state.viewingCandidate = cand;
-            goToStep(6);
-        });
+    latest.previousVersions = [
+        ...(latest.previousVersions || []),
+        ...(older.previousVersions || []),
+        { alias: older.alias, score: older.score, receivedAt: older.receivedAt || null, processedAt: older.processedAt || null }
+    ];
+    latest.fingerprints = [...new Set([...(latest.fingerprints || []), ...(older.fingerprints || [])])];
+    latest.priorApplications = [...(latest.priorApplications || []), ...(older.priorApplications || [])]
+        .filter((app, i, all) => all.findIndex(other => other.requisitionId === app.requisitionId && other.appliedAt === app.appliedAt) === i);
+    if (state.selectedCandidates.delete(older.refId)) state.selectedCandidates.add(latest.refId);
+    Pipeline.merge(latest.refId, older.refId);
+    state.candidates = state.candidates.filter(c => c !== older);
 
-        tbody.appendChild(tr);
-    });
+    try {
+        await vault.delete(older.refId);
+        await ApplicantIndex.delete(older.refId);
+        await ApplicantIndex.record(latest);
+    } catch (e) {
+        log(`Merge cleanup incomplete: ${e.message}`);
+    }
+    await persistRequisition();
+    log(`Merged ${older.alias} into ${latest.alias}.`);
+    return true;
+}
 
-    proceedBtn.addEventListener('click', () => {
-        // Batch Logic: Export Shortlist
-        const selectedRefs = Array.from(state.selectedCandidates);
-        const selectedProfiles = state.candidates.filter(c => selectedRefs.includes(c.refId));
+// Saves a File or Blob through a temporary object URL
+function downloadFile(file, filename = file.name) {
+    const url = URL.createObjectURL(file);
+    const element = document.createElement('a');
+    element.setAttribute('href', url);
+    element.setAttribute('download', filename);
+    element.style.display = 'none';
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-        const content = selectedProfiles.map(p => {
-            // Try to get real info if unlocked, else alias
-            let info = p.alias;
-            try {
-                if (vault._data.has(p.refId)) {
-                    const pii = vault.retrieve(p.refId); // This might throw if we enforce strict reveal-first policy, but for export we might assume implicit reveal
-                    info = `${pii.realName} (${pii.email})`;
-                }
-            } catch (e) { }
-            return `- ${info}: ${p.score}% Match`;
-        }).join('\n');
+// Shows the original CV from the vault, masked unless the candidate has been revealed.
+// The vault record is read only to locate what to mask; nothing from it is displayed.
+async function openCVViewer(cand) {
+    if (!(await ensureVaultUnlocked())) return;
+    const overlay = document.getElementById('cv-viewer-overlay');
+    const status = document.getElementById('cv-viewer-status');
+    const content = document.getElementById('cv-viewer-content');
+    const masked = !cand.revealed;
+    const close = () => {
+        overlay.style.display = 'none';
+        content.innerHTML = ''; // Drop the rendered pages as soon as the viewer closes
+        vault.removeEventListener('lock', close);
+    };
+    document.getElementById('cv-viewer-title').textContent = `${masked ? 'Redacted CV' : 'CV'}: ${cand.alias}`;
+    document.getElementById('close-cv-viewer').onclick = close;
+    vault.addEventListener('lock', close);
+    content.innerHTML = '';
+    status.textContent = 'Loading...';
+    overlay.style.display = 'flex';
 
-        triggerMockDownload(`shortlist_export_${Date.now()}.txt`, `Hiring Assistant Shortlist:\n\n${content}`);
-    });
+    try {
+        const file = await vault.retrieveFile(cand.refId);
+        if (!file) {
+            status.textContent = 'The original file was not kept for this candidate (processed before originals were stored).';
+            return;
+        }
+        const notes = await CVViewer.render(file, content, { masked, record: masked ? await vault.retrieve(cand.refId) : null });
+        status.textContent = masked
+            ? ['Personal details detected in the CV are blacked out.', ...(notes || []), 'Reveal the identity to see the original.'].join(' ')
+            : 'Original CV, shown after identity reveal.';
+    } catch (e) {
+        content.innerHTML = '';
+        status.textContent = `Could not display the CV: ${e.message}`;
+    }
 }
 
-function triggerMockDownload(filename, text) {
+function triggerMockDownload(filename, text, mimeType = 'text/plain') {
     const element = document.createElement('a');
-    element.setAttribute('href', 'data:text/plain;charset=utf-8,' + encodeURIComponent(text));
+    element.setAttribute('href', `data:${mimeType};charset=utf-8,` + encodeURIComponent(text));
     element.setAttribute('download', filename);
     element.style.display = 'none';
     document.body.appendChild(element);
@@ -699,6 +6061,96 @@ function triggerMockDownload(filename, text) {
     document.body.removeChild(element);
 }
 
+const EVIDENCE_STATUS_COLORS = { met: 'var(--success-color)', partial: 'var(--secondary-color)', not_met: 'var(--red-color)' };
+
+// Requirement-by-requirement breakdown with the quoted CV evidence and how it adds up to the score
+function renderRequirementEvidence(cand) {
+    const rows = cand.requirements || [];
+    if (!rows.length) {
+        return '<p style="color: var(--text-muted);">The job description lists no requirements to evaluate.</p>';
+    }
+
+    const breakdown = EvidenceMatcher.explain(rows);
+    let scoreLine = `Requirements: ${breakdown}`;
+    if (cand.scoringMode === 'blend') {
+        // Candidates scored before the weight was stored leave it out rather than guess it
+        const { localWeight } = cand;
+        const split = typeof localWeight === 'number' ? ` ${Math.round((1 - localWeight) * 100)}/${Math.round(localWeight * 100)}` : '';
+        scoreLine += ` · blended${split} with local skill match ${cand.localScore}% → ${cand.score}%`;
+    } else if (cand.scoringMode === 'local') {
+        scoreLine += ` · score uses local skill match ${cand.localScore}%`;
+    }
+
+    return `
+        <p style="margin: 0 0 1rem; font-size: 0.9rem; color: var(--text-muted);">${scoreLine}</p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+            <tbody>
+                ${rows.map(row => `
+                    <tr style="border-top: 1px solid var(--border-color); vertical-align: top;">
+                        <td style="padding: 0.75rem 0.5rem 0.75rem 0; width: 40%;">${escapeHtml(row.requirement)}</td>
+                        <td style="padding: 0.75rem 0.5rem; white-space: nowrap; font-weight: 600; color: ${EVIDENCE_STATUS_COLORS[row.status]};">
+                            ${EvidenceMatcher.statusLabels[row.status] || row.status}
+                            ${row.unverified ? `<div style="font-weight: 400; font-size: 0.8rem; color: var(--text-muted);" title="The model's quote is not in the CV, so the local evidence check was used">model said ${escapeHtml(EvidenceMatcher.statusLabels[row.unverified] || row.unverified)}, unverified</div>` : ''}
+                        </td>
+                        <td style="padding: 0.75rem 0 0.75rem 0.5rem; color: var(--text-muted); font-style: italic;">
+                            ${row.evidence ? `“${escapeHtml(row.evidence)}”` : 'No supporting evidence found in the CV.'}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Employment timeline (most recent first, with gaps between jobs), education and the
+// experience computed from it. Hidden employer and school names show once revealed.
+function renderWorkHistory(cand) {
+    const profile = cand.analysis || {};
+    const employment = profile.employment || [];
+    const experience = profile.experience || WorkHistory.summarize(employment);
+    const org = (name) => escapeHtml((cand.revealed && cand.organisations?.[name]) || name || '');
+    const period = (entry) => {
+        const months = WorkHistory.months(WorkHistory.merge([entry]));
+        return `${WorkHistory.formatDate(entry.start)} – ${WorkHistory.formatDate(entry.end)}${months ? ` · ${WorkHistory.years(months)} yrs` : ''}`;
+    };
+
+    if (!employment.length && !(profile.education || []).length) {
+        return '<p style="color: var(--text-muted);">No work history or education could be extracted from this CV.</p>';
+    }
+
+    const minYears = state.jobDescription ? JDCriteria.of(state.jobDescription).minYears : null;
+    const items = [
+        ...employment.map(entry => ({ at: WorkHistory.monthIndex(entry.start) ?? -1, html: `
+            <li style="margin-bottom: 1rem;">
+                <div style="font-size: 0.8rem; color: var(--text-muted);">${period(entry)}</div>
+                <strong>${escapeHtml(entry.role || 'Role not stated')}</strong>${entry.employer ? ` · ${org(entry.employer)}` : ''}
+                ${entry.technologies?.length ? `<div style="margin-top: 0.25rem; font-size: 0.8rem; color: var(--primary-color);">${escapeHtml(entry.technologies.join(', '))}</div>` : ''}
+            </li>` })),
+        // Placed below the job that ended the gap
+        ...experience.gaps.map(gap => ({ at: WorkHistory.monthIndex(gap.to) - 0.5, html: `
+            <li style="margin-bottom: 1rem; list-style: none; color: var(--gold-color); font-size: 0.85rem;">
+                Gap of ${gap.months} months (${WorkHistory.formatDate(gap.from)} – ${WorkHistory.formatDate(gap.to)})
+            </li>` }))
+    ].sort((a, b) => b.at - a.at);
+    const skillYears = Object.entries(experience.skillYears || {}).filter(([, years]) => years > 0);
+
+    return `
+        <p style="margin: 0 0 1rem; font-size: 0.9rem; color: var(--text-muted);">
+            ${experience.totalYears !== null ? `${experience.totalYears} years of experience in total` : 'Total experience could not be computed from the dates given'}${minYears ? ` (the JD asks for ${minYears}+)` : ''}.
+            ${skillYears.length ? `<br>By skill: ${escapeHtml(skillYears.map(([skill, years]) => `${skill} ${years} yrs`).join(' · '))}` : ''}
+        </p>
+        ${items.length ? `<ul style="margin: 0; padding-left: 1.25rem; border-left: 2px solid var(--border-color);">${items.map(item => item.html).join('')}</ul>` : ''}
+        ${(profile.education || []).length ? `
+            <h4 style="margin-bottom: 0.5rem;">Education</h4>
+            <ul style="margin: 0; color: var(--text-muted); line-height: 1.8;">
+                ${profile.education.map(e => `<li>${escapeHtml(e.qualification || 'Course')}${e.institution ? `, ${org(e.institution)}` : ''}${e.year ? ` (${escapeHtml(e.year)})` : ''}</li>`).join('')}
+            </ul>
+        ` : ''}
+        ${(profile.certifications || []).length ? `<p style="font-size: 0.9rem;"><strong>Certifications:</strong> ${escapeHtml(profile.certifications.join(', '))}</p>` : ''}
+        ${(profile.languages || []).length ? `<p style="font-size: 0.9rem;"><strong>Languages:</strong> ${escapeHtml(profile.languages.join(', '))}</p>` : ''}
+    `;
+}
+
 function renderSelectionView() {
     if (!state.viewingCandidate) { // Use viewingCandidate
         goToStep(5);
@@ -732,6 +6184,8 @@ function renderSelectionView() {
                         <button id="reveal-btn" class="primary-btn" style="width: 100%; margin-top: 1rem; padding: 1rem; font-size: 1.1rem; background: var(--gradient-1);">
                             Reveal Identity
                         </button>
+                        <button id="view-cv-btn" style="width: 100%; margin-top: 0.75rem; background: transparent; border: 1px solid var(--border-color); color: var(--text-muted); padding: 0.75rem; border-radius: var(--radius-md); cursor: pointer;">View Redacted CV</button>
+                        <button id="interview-kit-btn" style="width: 100%; margin-top: 0.75rem; background: transparent; border: 1px solid var(--primary-color); color: var(--primary-color); padding: 0.75rem; border-radius: var(--radius-md); cursor: pointer;">Interview Kit</button>
                     </div>
                 ` : `
                     <div style="text-align: center; margin-bottom: 2rem; animation: fadeIn 0.5s;">
@@ -751,10 +6205,13 @@ function renderSelectionView() {
                     </div>
                      
                     <div style="margin-top: 2rem; animation: fadeIn 0.5s;">
-                        <button class="primary-btn" style="width: 100%;">Schedule Interview</button>
+                        <button id="schedule-interview-btn" class="primary-btn" style="width: 100%;">Schedule Interview</button>
+                        <button id="interview-kit-btn" style="width: 100%; margin-top: 0.75rem; background: transparent; border: 1px solid var(--primary-color); color: var(--primary-color); padding: 0.75rem; border-radius: var(--radius-md); cursor: pointer;">Interview Kit</button>
+                        <button id="view-cv-btn" style="width: 100%; margin-top: 0.75rem; background: transparent; border: 1px solid var(--border-color); color: var(--text-muted); padding: 0.75rem; border-radius: var(--radius-md); cursor: pointer;">View CV</button>
                         <button id="download-cv-btn" style="width: 100%; margin-top: 0.75rem; background: transparent; border: 1px solid var(--border-color); color: var(--text-muted); padding: 0.75rem; border-radius: var(--radius-md); cursor: pointer;">Download Full CV</button>
                     </div>
                 `}
+                ${renderPipelinePanel(cand)}
             </div>
 
             <!-- Details Column -->
@@ -777,43 +6234,71 @@ function renderSelectionView() {
                     <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
                         ${cand.skills.map(skill => `<span style="background: rgba(59, 130, 246, 0.1); color: var(--primary-color); padding: 0.4rem 1rem; border-radius: 8px; font-size: 0.9rem;">${skill}</span>`).join('')}
                     </div>
+                    ${cand.match ? `
+                        <p style="margin: 1rem 0 0; font-size: 0.9rem; color: var(--text-muted);">
+                            Local match: ${cand.localScore}%${cand.modelScore !== null ? ` · AI: ${cand.modelScore}%` : ''}
+                            ${cand.match.missing.length ? `<br><span style="color: var(--red-color);">Missing must-have: ${cand.match.missing.map(escapeHtml).join(', ')}</span>` : ''}
+                            ${cand.knockouts?.length ? `<br><strong style="color: var(--red-color);">Knocked out: ${escapeHtml(cand.knockouts.join(', '))}</strong>` : ''}
+                        </p>
+                    ` : ''}
+                </div>
+
+                <div style="margin-bottom: 2rem;">
+                    <h3 style="color: var(--secondary-color);">Work History</h3>
+                    ${renderWorkHistory(cand)}
                 </div>
 
                 <div>
-                    <h3 style="color: var(--secondary-color);">Experience & Qualifications</h3>
-                    <ul style="color: var(--text-muted); line-height: 1.8;">
-                        <li>5+ years of relevant industry experience.</li>
-                        <li>Master's degree in Computer Science (Verified).</li>
-                        <li>Certified Scrum Master.</li>
-                    </ul>
+                    <h3 style="color: var(--secondary-color);">Requirement Evidence</h3>
+                    ${renderRequirementEvidence(cand)}
                 </div>
+
+                ${cand.previousVersions?.length || cand.priorApplications?.length ? `
+                    <div style="margin-top: 2rem;">
+                        <h3 style="color: var(--secondary-color);">Application History</h3>
+                        <ul style="color: var(--text-muted); line-height: 1.8; margin: 0;">
+                            ${(cand.previousVersions || []).map(v => `<li>Earlier CV in this requisition (${v.alias}${v.receivedAt || v.processedAt ? `, ${new Date(v.receivedAt || v.processedAt).toLocaleDateString()}` : ''}): ${v.score}% match</li>`).join('')}
+                            ${(cand.priorApplications || []).map(app => `<li>Applied to ${escapeHtml(app.requisitionName)}${app.appliedAt ? ` on ${new Date(app.appliedAt).toLocaleDateString()}` : ''}: ${app.score}% match</li>`).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
             </div>
         </div>
     `;
     contentArea.appendChild(container);
 
     document.getElementById('back-btn').addEventListener('click', () => goToStep(5));
+    bindPipelinePanel(cand);
 
-    // Download CV Handler
+    document.getElementById('view-cv-btn').addEventListener('click', () => openCVViewer(cand));
+    document.getElementById('interview-kit-btn').addEventListener('click', () => renderInterviewKitView(cand));
+    document.getElementById('schedule-interview-btn')?.addEventListener('click', () => openScheduling(cand));
+
+    // Download CV Handler (revealed candidates only)
     const downloadBtn = document.getElementById('download-cv-btn');
     if (downloadBtn) {
-        downloadBtn.addEventListener('click', () => {
-            let filename = `cv_${cand.alias}.pdf`;
+        downloadBtn.addEventListener('click', async () => {
+            const granted = await requestIdentityAccess([cand], 'cv_download');
+            if (!granted || !granted.has(cand.refId)) return;
             try {
-                const pii = vault.retrieve(cand.refId);
-                filename = pii.originalFile;
-            } catch (e) { }
-            triggerMockDownload(filename, `[Simulated Content of ${filename}]\n\nRef: ${cand.refId}\n\n...Full CV Content...`);
+                const file = await vault.retrieveFile(cand.refId);
+                if (!file) {
+                    alert(`The original file (${granted.get(cand.refId).originalFile || 'unknown'}) was not kept for ${cand.alias}; it was processed before originals were stored.`);
+                    return;
+                }
+                downloadFile(file);
+            } catch (e) {
+                alert('Error accessing secure vault: ' + e.message);
+            }
         });
     }
 
     if (!cand.revealed) {
-        document.getElementById('reveal-btn').addEventListener('click', () => {
-            // Logic to retrieve from Vault will be implemented in next step
-            // For now, allow UI to flip
+        document.getElementById('reveal-btn').addEventListener('click', async () => {
             try {
-                const pii = vault.retrieve(cand.refId);
-                Object.assign(cand, pii); // Merge PII into candidate object
+                const granted = await requestIdentityAccess([cand], 'reveal');
+                if (!granted || !granted.has(cand.refId)) return;
+                Object.assign(cand, granted.get(cand.refId)); // Merge PII into candidate object
                 cand.revealed = true;
                 renderView(6);
             } catch (e) {
@@ -825,13 +6310,23 @@ function renderSelectionView() {
 
 
 // Handlers
-function handleJDUpload(file) {
-    const check = FileValidator.validateJD(file);
+async function handleJDUpload(file) {
+    log(`Checking ${file.name}...`);
+    const check = await FileValidator.validateJD(file, { onProgress: log });
     if (!check.valid) {
-        alert(check.error);
-        return;
+        const details = check.reasons?.length ? `\n\nWhat we found:\n- ${check.reasons.join('\n- ')}` : '';
+        if (!check.overridable) {
+            alert(`${check.error}${details}`);
+            return;
+        }
+        const confidence = Math.round(check.confidence * 100);
+        if (!confirm(`${check.error}\n\nConfidence this is a job description: ${confidence}%.${details}\n\nUpload anyway?`)) return;
+        log(`JD check overridden (${confidence}% confidence).`);
+    } else {
+        log(`JD check passed (${Math.round(check.confidence * 100)}% confidence).`);
     }
     state._rawJDFile = file; // Store for extraction
+    state.jobDescription = null; // A new JD needs a fresh analysis
     console.log('JD Uploaded:', file.name);
     // Simulate processing time
     setTimeout(() => {
@@ -839,18 +6334,161 @@ function handleJDUpload(file) {
     }, 1000);
 }
 
-function handleCVUpload(files) {
-    const validFiles = Array.from(files).filter(f => FileValidator.validateCV(f).valid);
-    if (validFiles.length < files.length) {
-        alert(`Warning: ${files.length - validFiles.length} files were rejected due to invalid format.`);
+// Unpacks archives and emails, checks every file, and lists what will be imported
+// before anything is queued.
+async function handleCVUpload(files) {
+    files = Array.from(files);
+    log(`Unpacking ${files.length} file(s)...`);
+    const entries = await CVImport.expand(files);
+
+    // Duplicates: identical bytes to a CV already processed, pending or earlier in this batch
+    const seen = new Map();
+    for (const file of state._rawCVFiles || []) seen.set(await CVImport.hash(file), file.name);
+    state.candidates.filter(cand => cand.contentHash).forEach(cand => seen.set(cand.contentHash, `${cand.alias} (already processed)`));
+
+    // Same person: an email address or phone number in the CV (or the sender's address) that a
+    // processed candidate or an earlier file in this batch already has. Fingerprints need the
+    // vault key; without it the match is only flagged after processing.
+    const people = new Map(); // fingerprint -> who has it
+    state.candidates.forEach(cand => (cand.fingerprints || []).forEach(fp => people.set(fp, cand.alias)));
+    const checkPeople = (people.size > 0 || entries.length > 1) && await ensureVaultUnlocked();
+
+    for (const entry of entries) {
+        if (entry.skipped) {
+            Object.assign(entry, { status: 'skipped', reason: entry.skipped });
+            continue;
+        }
+        if (!FileValidator.isValidExtension(entry.file)) {
+            Object.assign(entry, { status: 'skipped', reason: 'Unsupported file type' });
+            continue;
+        }
+        const hash = await CVImport.hash(entry.file);
+        if (seen.has(hash)) {
+            Object.assign(entry, { status: 'duplicate', reason: `Same file as ${seen.get(hash)}` });
+            continue;
+        }
+        seen.set(hash, entry.source);
+        entry.hash = hash;
+
+        const check = await FileValidator.validateCV(entry.file, { onProgress: log });
+        if (!check.valid) {
+            Object.assign(entry, { status: 'skipped', reason: check.error });
+            continue;
+        }
+        if (checkPeople) {
+            const fingerprints = await DuplicateDetector.fingerprints({ email: entry.sender, pii: PIIRedactor.redact(check.text).pii });
+            const shared = fingerprints.find(fp => people.has(fp));
+            if (shared) {
+                const what = shared.startsWith('email:') ? 'email address' : 'phone number';
+                Object.assign(entry, { status: 'match', reason: `Same ${what} as ${people.get(shared)}` });
+                continue;
+            }
+            fingerprints.forEach(fp => people.set(fp, entry.source));
+        }
+        Object.assign(entry, { status: check.warning ? 'review' : 'ready', reason: check.warning || '' });
     }
-    if (validFiles.length === 0) return;
+    renderImportReport(entries);
+}
 
-    state._rawCVFiles = validFiles;
-    log(`Queued ${validFiles.length} CVs for processing.`);
+const IMPORT_STATUS = {
+    ready: { label: 'Imported', color: 'var(--success-color)' },
+    review: { label: 'Check', color: 'var(--secondary-color)' },
+    match: { label: 'Same person', color: 'var(--secondary-color)' },
+    duplicate: { label: 'Duplicate', color: 'var(--text-muted)' },
+    skipped: { label: 'Skipped', color: 'var(--red-color)' }
+};
 
-    setTimeout(() => {
+function renderImportReport(entries) {
+    const count = (status) => entries.filter(e => e.status === status).length;
+    contentArea.innerHTML = '';
+    const container = document.createElement('div');
+    container.className = 'animate-fade-in';
+    container.innerHTML = `
+        <h2>Review Import</h2>
+        <p style="color: var(--text-muted); margin-bottom: 2rem;">
+            ${count('ready')} ready · ${count('review')} to check · ${count('match')} same person · ${count('duplicate')} duplicate · ${count('skipped')} skipped.
+            Files marked "Check" may not be CVs; tick them to include them anyway. Files marked "Same person" share contact
+            details with another CV; tick them to process the CV too and merge the two afterwards.
+        </p>
+        <div style="background: var(--surface-color); border-radius: var(--radius-md); border: 1px solid var(--border-color); overflow: hidden;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+                <thead>
+                    <tr style="background: rgba(255,255,255,0.05); text-align: left;">
+                        <th style="padding: 0.75rem 1rem; border-bottom: 1px solid var(--border-color);">Include</th>
+                        <th style="padding: 0.75rem 1rem; border-bottom: 1px solid var(--border-color);">File</th>
+                        <th style="padding: 0.75rem 1rem; border-bottom: 1px solid var(--border-color);">Status</th>
+                        <th style="padding: 0.75rem 1rem; border-bottom: 1px solid var(--border-color);">Notes</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map((entry, i) => `
+                        <tr style="border-bottom: 1px solid var(--border-color);">
+                            <td style="padding: 0.75rem 1rem;">
+                                ${entry.status === 'ready' || entry.status === 'review' || entry.status === 'match'
+                                    ? `<input type="checkbox" class="import-include" data-index="${i}" ${entry.status === 'ready' ? 'checked' : ''}>`
+                                    : ''}
+                            </td>
+                            <td style="padding: 0.75rem 1rem; word-break: break-all;">${escapeHtml(entry.source)}</td>
+                            <td style="padding: 0.75rem 1rem; font-weight: 600; color: ${IMPORT_STATUS[entry.status].color};">${IMPORT_STATUS[entry.status].label}</td>
+                            <td style="padding: 0.75rem 1rem; color: var(--text-muted);">
+                                ${escapeHtml(entry.reason)}${entry.sender && entry.status !== 'skipped' ? `${entry.reason ? '<br>' : ''}Sender address will be kept in the vault` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div style="margin-top: 1.5rem; display: flex; justify-content: space-between; align-items: center;">
+            <button id="import-back-btn" style="background:none; border:none; color: var(--text-muted); cursor: pointer; display: flex; align-items: center; gap: 0.5rem; font-size: 1rem;">
+                <span class="material-icons-round">arrow_back</span> Upload different files
+            </button>
+            <button id="import-start-btn" class="primary-btn"></button>
+        </div>
+    `;
+    contentArea.appendChild(container);
+
+    const startBtn = document.getElementById('import-start-btn');
+    const selected = () => [...container.querySelectorAll('.import-include:checked')].map(cb => entries[Number(cb.dataset.index)]);
+    const updateStart = () => {
+        const n = selected().length;
+        startBtn.textContent = `Process ${n} CV${n === 1 ? '' : 's'}`;
+        startBtn.disabled = n === 0;
+        startBtn.style.opacity = n === 0 ? '0.5' : '1';
+    };
+    container.querySelectorAll('.import-include').forEach(cb => cb.addEventListener('change', updateStart));
+    updateStart();
+
+    document.getElementById('import-back-btn').addEventListener('click', () => goToStep(3));
+    startBtn.addEventListener('click', async () => {
+        const chosen = selected();
+        // Sender addresses go straight to the vault; the requisition only keeps the refId, keyed by
+        // the CV's content hash since name, size and date can repeat across emails but the bytes cannot
+        if (chosen.some(entry => entry.sender)) {
+            if (await ensureVaultUnlocked()) {
+                for (const entry of chosen.filter(e => e.sender)) {
+                    state.cvContacts[entry.hash] = await vault.store({ email: entry.sender, source: 'email' });
+                }
+            } else {
+                log('Vault locked: email sender addresses were not kept.');
+            }
+        }
+        state._rawCVFiles = [...(state._rawCVFiles || []), ...chosen.map(entry => entry.file)];
+        log(`Queued ${chosen.length} CVs for processing.`);
+        await persistRequisition();
         goToStep(4);
-    }, 1000);
+    });
+}
+
+// Drops the vault record of the email sender a pending CV came with
+async function forgetCVContact(file) {
+    const key = await CVImport.hash(file);
+    const refId = state.cvContacts[key];
+    if (!refId) return;
+    delete state.cvContacts[key];
+    try {
+        await vault.delete(refId);
+    } catch (e) {
+        log(`Could not remove sender record: ${e.message}`);
+    }
 }
 